@@ -7,11 +7,39 @@
  * on supported devices. After installation, the button disappears.
  */
 
+// Tell the page that a new service worker is installed and waiting.
+// The update banner (set up in the DOMContentLoaded handler) listens for
+// this event and decides when to activate it.
+function announceWaitingWorker(worker) {
+  document.dispatchEvent(new CustomEvent('swupdate', { detail: { worker } }));
+}
+
+// Watch a registration for new versions of the worker.  The check for
+// an existing controller skips the very first install, which is not an
+// update.
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    announceWaitingWorker(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        announceWaitingWorker(worker);
+      }
+    });
+  });
+  // Long-lived sessions (an installed app left open) check hourly
+  setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+}
+
 // Register the service worker if supported
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
     navigator.serviceWorker
       .register('service-worker.js')
+      .then(watchForUpdates)
       .catch((err) => console.error('Service worker registration failed:', err));
   });
 }
@@ -45,328 +73,2362 @@ window.addEventListener('beforeinstallprompt', (e) => {
 });
 
 /*
- * Navigation handling for the bottom navigation bar.
+ * Settings store
  *
- * The application consists of multiple <section> elements, each representing
- * a different page (home, music, theme, settings, profile). A
- * corresponding set of buttons in the bottom navigation bar controls
- * which section is visible. When a nav item is clicked, the script
- * removes the `active` class from all sections and nav items, then
- * adds it to the selected ones. This ensures only one section is
- * visible at a time, creating a simple single‑page app experience.
+ * Every user preference lives in one versioned record under the
+ * `settings` localStorage key:
+ *
+ *   { version: SETTINGS_VERSION, values: { theme: 'dark', sounds: true, … } }
+ *
+ * SETTINGS_SCHEMA declares each setting's type and default, and values
+ * are coerced against it whenever they are read from storage, set or
+ * imported, so callers always get a valid value.  Code that depends on
+ * a setting subscribes with `onSettingChange()`; listeners run for
+ * changes made in this tab, in another tab (through the `storage`
+ * event) and when a backup is restored.  Session state such as the
+ * saved player position is not a preference and keeps its own key.
+ *
+ * Bumping SETTINGS_VERSION requires a migration in SETTINGS_MIGRATIONS
+ * that turns the previous version's values into the new shape.
  */
+const SETTINGS_KEY = 'settings';
+const SETTINGS_VERSION = 2;
+const SETTINGS_SCHEMA = {
+  theme: { type: 'enum', values: ['default', 'light', 'dark', 'glass', 'custom'], default: 'default' },
+  customTheme: { type: 'string', default: '' },
+  customThemes: { type: 'array', default: [] },
+  autoTheme: { type: 'boolean', default: false },
+  autoThemeMode: { type: 'enum', values: ['system', 'schedule', 'sun'], default: 'schedule' },
+  autoThemeSchedule: { type: 'object', default: { lightFrom: '06:00', darkFrom: '18:00' } },
+  autoThemeLocation: { type: 'object', default: null },
+  sounds: { type: 'boolean', default: true },
+  // 'system' follows prefers-reduced-motion
+  animations: { type: 'enum', values: ['system', 'on', 'off'], default: 'system' },
+  font: {
+    type: 'enum',
+    values: ['default', 'serif', 'cursive', 'mono', 'fantasy', 'elegant'],
+    default: 'default',
+  },
+  animSpeed: { type: 'number', min: 0.5, max: 2, default: 1 },
+  shuffle: { type: 'boolean', default: false },
+  repeatMode: { type: 'enum', values: ['off', 'all', 'one'], default: 'off' },
+  apiInstances: { type: 'object', default: {} },
+  mockProvider: { type: 'boolean', default: false },
+  dynamicColor: { type: 'boolean', default: true },
+  dynamicColorApp: { type: 'boolean', default: false },
+  // Seconds of overlap between tracks; 0 cuts (or joins them gaplessly)
+  crossfade: { type: 'number', min: 0, max: 12, default: 0 },
+  gapless: { type: 'boolean', default: true },
+  volume: { type: 'number', min: 0, max: 1, default: 1 },
+  muted: { type: 'boolean', default: false },
+  playbackRate: { type: 'number', min: 0.5, max: 2, default: 1 },
+  // Equalizer: gains in dB per band, the preset they came from ('' when
+  // edited by hand) and the user's own presets as { name, gains }
+  eqEnabled: { type: 'boolean', default: false },
+  eqPreset: { type: 'string', default: 'flat' },
+  eqGains: { type: 'array', default: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  eqPresets: { type: 'array', default: [] },
+  normalize: { type: 'boolean', default: false },
+  compressor: { type: 'boolean', default: false },
+  // Keyboard shortcut overrides: action id -> key ('' = unbound)
+  shortcuts: { type: 'object', default: {} },
+  // Recent searches, newest first
+  searchHistory: { type: 'array', default: [] },
+};
 
-// Attach click listeners after the DOM has loaded
-window.addEventListener('DOMContentLoaded', () => {
-  const navItems = document.querySelectorAll('.nav-item');
-  const sections = document.querySelectorAll('.section');
+// Keys written one by one before the settings record existed.  Flags
+// were stored as 'on'/'off' strings and structured values as JSON.
+const LEGACY_FLAG_KEYS = [
+  'autoTheme', 'sounds', 'animations', 'shuffle', 'mockProvider', 'dynamicColor', 'dynamicColorApp',
+];
+const LEGACY_JSON_KEYS = ['customThemes', 'autoThemeSchedule', 'autoThemeLocation', 'apiInstances'];
+const LEGACY_SETTING_KEYS = [
+  ...LEGACY_FLAG_KEYS,
+  ...LEGACY_JSON_KEYS,
+  'theme', 'customTheme', 'autoThemeMode', 'font', 'animSpeed', 'repeatMode',
+];
 
-  navItems.forEach((item) => {
-    item.addEventListener('click', () => {
-      const targetId = item.getAttribute('data-section');
-      // Update nav item active state
-      navItems.forEach((btn) => btn.classList.remove('active'));
-      item.classList.add('active');
-      // Update section visibility
-      sections.forEach((section) => section.classList.remove('active'));
-      const targetSection = document.getElementById(targetId);
-      if (targetSection) {
-        targetSection.classList.add('active');
+// SETTINGS_MIGRATIONS[n] upgrades values from version n to n + 1
+const SETTINGS_MIGRATIONS = [
+  // 0 -> 1: collect the separate localStorage keys
+  () => {
+    const values = {};
+    LEGACY_SETTING_KEYS.forEach((key) => {
+      const raw = localStorage.getItem(key);
+      if (raw === null) return;
+      if (LEGACY_FLAG_KEYS.includes(key)) {
+        values[key] = raw === 'on';
+      } else if (LEGACY_JSON_KEYS.includes(key)) {
+        try {
+          values[key] = JSON.parse(raw);
+        } catch (e) {
+          // Unreadable: falls back to the default
+        }
+      } else if (key === 'animSpeed') {
+        values[key] = Number(raw);
+      } else {
+        values[key] = raw;
       }
-      // Play click sound on navigation change
-      playClickSound();
     });
-  });
+    return values;
+  },
+  // 1 -> 2: animations gain a 'system' value that follows
+  // prefers-reduced-motion.  Only an explicit "off" is kept.
+  (values) => ({ ...values, animations: values.animations === false ? 'off' : 'system' }),
+];
 
-  // Theme selection handling
-  const lightBtn = document.getElementById('theme-light');
-  const darkBtn = document.getElementById('theme-dark');
-  const glassBtn = document.getElementById('theme-glass');
-  const autoBtn = document.getElementById('theme-auto');
-  // Helper to select a theme based on time of day.  If between
-  // 06:00 and 18:00, choose light; otherwise choose dark.  When
-  // called, this function also updates localStorage 'theme' so
-  // subsequent page loads know which concrete theme was applied.
-  function applyAutoTheme() {
-    const hour = new Date().getHours();
-    if (hour >= 6 && hour < 18) {
-      document.body.classList.remove('theme-dark', 'theme-glass');
-      document.body.classList.add('theme-light');
-      localStorage.setItem('theme', 'light');
-    } else {
-      document.body.classList.remove('theme-light', 'theme-glass');
-      document.body.classList.add('theme-dark');
-      localStorage.setItem('theme', 'dark');
-    }
+const settingListeners = new Map();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A valid value for `key`: `value` itself when it matches the schema,
+// otherwise the default.  Objects are copied so stored values cannot be
+// mutated by callers.
+function coerceSetting(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  let valid;
+  switch (spec.type) {
+    case 'boolean':
+      valid = typeof value === 'boolean';
+      break;
+    case 'number':
+      valid = typeof value === 'number' && value >= spec.min && value <= spec.max;
+      break;
+    case 'enum':
+      valid = spec.values.includes(value);
+      break;
+    case 'string':
+      valid = typeof value === 'string';
+      break;
+    case 'array':
+      valid = Array.isArray(value);
+      break;
+    case 'object':
+      valid = isPlainObject(value) || (value === null && spec.default === null);
+      break;
+    default:
+      valid = false;
   }
+  const result = valid ? value : spec.default;
+  return result !== null && typeof result === 'object' ? JSON.parse(JSON.stringify(result)) : result;
+}
 
-  // Apply saved theme or auto theme preference on load
-  const autoPref = localStorage.getItem('autoTheme') === 'on';
-  if (autoPref) {
-    applyAutoTheme();
-  } else {
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme === 'light') {
-      document.body.classList.add('theme-light');
-    } else if (savedTheme === 'dark') {
-      document.body.classList.add('theme-dark');
-    } else if (savedTheme === 'glass') {
-      document.body.classList.add('theme-glass');
-    }
-  }
-  // Theme button click handlers
-  if (lightBtn) {
-    lightBtn.addEventListener('click', () => {
-      document.body.classList.remove('theme-dark', 'theme-glass');
-      document.body.classList.add('theme-light');
-      localStorage.setItem('theme', 'light');
-      // Disable auto theme when selecting a specific theme
-      localStorage.setItem('autoTheme', 'off');
-      playClickSound();
-    });
+// Bring values written by `version` up to SETTINGS_VERSION and coerce
+// them.  Values from a newer version are kept as far as they are valid.
+function upgradeSettings(version, values) {
+  let upgraded = isPlainObject(values) ? values : {};
+  for (let v = version; v < SETTINGS_VERSION; v++) {
+    upgraded = SETTINGS_MIGRATIONS[v](upgraded);
   }
-  if (darkBtn) {
-    darkBtn.addEventListener('click', () => {
-      document.body.classList.remove('theme-light', 'theme-glass');
-      document.body.classList.add('theme-dark');
-      localStorage.setItem('theme', 'dark');
-      // Disable auto theme when selecting a specific theme
-      localStorage.setItem('autoTheme', 'off');
-      playClickSound();
-    });
+  const clean = {};
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    clean[key] = coerceSetting(key, upgraded[key]);
+  });
+  return clean;
+}
+
+function readSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch (e) {
+    stored = null;
   }
-  if (glassBtn) {
-    glassBtn.addEventListener('click', () => {
-      document.body.classList.remove('theme-light', 'theme-dark');
-      document.body.classList.add('theme-glass');
-      localStorage.setItem('theme', 'glass');
-      // Disable auto theme when selecting a specific theme
-      localStorage.setItem('autoTheme', 'off');
-      playClickSound();
-    });
+  if (!isPlainObject(stored)) {
+    // First run with the store: migrate the legacy keys once
+    const values = upgradeSettings(0, {});
+    writeSettings(values);
+    LEGACY_SETTING_KEYS.forEach((key) => localStorage.removeItem(key));
+    return values;
   }
+  const version = Number.isInteger(stored.version) ? stored.version : SETTINGS_VERSION;
+  const values = upgradeSettings(version, stored.values);
+  if (version < SETTINGS_VERSION) writeSettings(values);
+  return values;
+}
 
-  // Auto theme button handler
-  if (autoBtn) {
-    autoBtn.addEventListener('click', () => {
-      localStorage.setItem('autoTheme', 'on');
-      applyAutoTheme();
-      playClickSound();
-    });
+function writeSettings(values) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, values }));
+  } catch (e) {
+    console.error('No se pudieron guardar los ajustes:', e);
   }
+}
 
-  // Settings controls
-  const animationsToggle = document.getElementById('animations-toggle');
-  const soundsToggle = document.getElementById('sounds-toggle');
-  // DPI scaling has been removed; previously there was a slider to adjust
-  // dpi-scale.  We keep a reference here undefined to avoid code paths
-  // referencing an element that no longer exists.
-  const dpiRange = null;
-  const fontSelect = document.getElementById('font-select');
-  const animationRange = document.getElementById('animation-range');
+let settingsValues = readSettings();
 
-  // Helper to play a short beep when interactions occur. Uses Web Audio API
-  function playClickSound() {
-    // Only play if sounds are enabled
-    const soundsPref = localStorage.getItem('sounds') || 'on';
-    if (soundsPref !== 'on') return;
+function getSetting(key) {
+  if (!(key in SETTINGS_SCHEMA)) throw new Error(`Ajuste desconocido: ${key}`);
+  return coerceSetting(key, settingsValues[key]);
+}
+
+// Set several settings at once; listeners run for the ones that changed
+function setSettings(values) {
+  const changed = [];
+  Object.entries(values).forEach(([key, value]) => {
+    if (!(key in SETTINGS_SCHEMA)) throw new Error(`Ajuste desconocido: ${key}`);
+    const next = coerceSetting(key, value);
+    if (JSON.stringify(next) === JSON.stringify(settingsValues[key])) return;
+    settingsValues[key] = next;
+    changed.push(key);
+  });
+  if (!changed.length) return;
+  writeSettings(settingsValues);
+  changed.forEach(notifySettingListeners);
+}
+
+function setSetting(key, value) {
+  setSettings({ [key]: value });
+}
+
+// Call `listener(value)` whenever `key` changes.  Returns a function
+// that removes the listener.
+function onSettingChange(key, listener) {
+  if (!settingListeners.has(key)) settingListeners.set(key, new Set());
+  settingListeners.get(key).add(listener);
+  return () => settingListeners.get(key).delete(listener);
+}
+
+function notifySettingListeners(key) {
+  (settingListeners.get(key) || []).forEach((listener) => {
     try {
-      const ctx = new (window.AudioContext || window.webkitAudioContext)();
-      const oscillator = ctx.createOscillator();
-      const gainNode = ctx.createGain();
-      oscillator.type = 'sine';
-      oscillator.frequency.setValueAtTime(440, ctx.currentTime);
-      oscillator.connect(gainNode);
-      gainNode.connect(ctx.destination);
-      gainNode.gain.setValueAtTime(0.1, ctx.currentTime);
-      oscillator.start();
-      oscillator.stop(ctx.currentTime + 0.1);
+      listener(getSetting(key));
     } catch (e) {
-      // Fallback: do nothing if AudioContext is not supported
+      console.error(`Error al aplicar el ajuste ${key}:`, e);
     }
+  });
+}
+
+// Backup file contents for Ajustes → Copia de seguridad
+function exportSettings() {
+  return {
+    type: 'hola-pwa-settings',
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: { ...settingsValues },
+  };
+}
+
+// Restore a backup written by exportSettings().  Older backups are
+// migrated; invalid values fall back to the defaults.
+function importSettings(data) {
+  if (!isPlainObject(data) || data.type !== 'hola-pwa-settings' || !isPlainObject(data.settings)) {
+    throw new Error('El archivo no es una copia de seguridad de ajustes');
   }
+  const version = Number.isInteger(data.version) ? data.version : SETTINGS_VERSION;
+  // The 0 -> 1 migration reads the legacy keys, so backups always carry
+  // at least version 1 values
+  setSettings(upgradeSettings(Math.max(version, 1), data.settings));
+}
 
-  // Load saved preferences and apply
-  if (animationsToggle) {
-    const animationsPref = localStorage.getItem('animations');
-    if (animationsPref === 'off') {
-      animationsToggle.checked = false;
-      document.body.classList.add('no-animations');
+// Another tab changed the settings: pick up its values
+window.addEventListener('storage', (e) => {
+  if (e.key !== SETTINGS_KEY || e.newValue === null) return;
+  const previous = settingsValues;
+  settingsValues = readSettings();
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(settingsValues[key])) {
+      notifySettingListeners(key);
     }
-    animationsToggle.addEventListener('change', () => {
-      if (animationsToggle.checked) {
-        document.body.classList.remove('no-animations');
-        localStorage.setItem('animations', 'on');
-      } else {
-        document.body.classList.add('no-animations');
-        localStorage.setItem('animations', 'off');
+  });
+});
+
+/*
+ * IndexedDB storage
+ *
+ * Data that must survive reloads and keep working offline (saved
+ * playlists, the index of downloaded tracks, cached lyrics and the local
+ * file library) lives in a small IndexedDB database.  A single
+ * connection is opened lazily and shared; object stores are created in
+ * `onupgradeneeded`, so adding a store only requires bumping
+ * DB_VERSION and adding another `contains` check below.
+ */
+const DB_NAME = 'hola-pwa-db';
+const DB_VERSION = 4;
+let dbPromise = null;
+
+// Open (or create) the database, reusing the connection once available
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB no está disponible'));
+        return;
       }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('playlists')) {
+          db.createObjectStore('playlists', { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains('downloads')) {
+          db.createObjectStore('downloads', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('lyrics')) {
+          db.createObjectStore('lyrics', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('library')) {
+          db.createObjectStore('library', { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
-  }
-  if (soundsToggle) {
-    const soundsPref = localStorage.getItem('sounds');
-    if (soundsPref === 'off') {
-      soundsToggle.checked = false;
-    }
-    soundsToggle.addEventListener('change', () => {
-      localStorage.setItem('sounds', soundsToggle.checked ? 'on' : 'off');
-    });
-  }
-  // DPI control removed: no event handling is needed here.
-  if (fontSelect) {
-    const applyFontClass = (font) => {
-      // Remove all possible font classes first
-      document.body.classList.remove(
-        'font-serif',
-        'font-cursive',
-        'font-mono',
-        'font-fantasy',
-        'font-elegant'
-      );
-      if (font === 'serif') {
-        document.body.classList.add('font-serif');
-      } else if (font === 'cursive') {
-        document.body.classList.add('font-cursive');
-      } else if (font === 'mono') {
-        document.body.classList.add('font-mono');
-      } else if (font === 'fantasy') {
-        document.body.classList.add('font-fantasy');
-      } else if (font === 'elegant') {
-        document.body.classList.add('font-elegant');
-      }
-    };
-    const savedFont = localStorage.getItem('font');
-    if (savedFont) {
-      fontSelect.value = savedFont;
-      applyFontClass(savedFont);
-    }
-    fontSelect.addEventListener('change', () => {
-      const selected = fontSelect.value;
-      applyFontClass(selected);
-      localStorage.setItem('font', selected);
-      playClickSound();
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
     });
   }
+  return dbPromise;
+}
 
-  // Animation speed control: adjust the global animation multiplier
-  if (animationRange) {
-    const savedSpeed = localStorage.getItem('animSpeed');
-    if (savedSpeed) {
-      animationRange.value = savedSpeed;
-      document.documentElement.style.setProperty('--anim-speed', savedSpeed);
-    }
-    animationRange.addEventListener('input', () => {
-      const val = animationRange.value;
-      document.documentElement.style.setProperty('--anim-speed', val);
-      localStorage.setItem('animSpeed', val);
-    });
-  }
+// Run a single request against an object store and resolve with its
+// result once the surrounding transaction has committed.
+async function dbRequest(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
 
-  /*
-   * Música: búsqueda y reproducción
-   *
-   * Esta sección implementa un buscador de canciones que consulta dos
-   * APIs sin autenticación: Audius y Piped (front‑end de YouTube). Las
-   * canciones encontradas se muestran en una lista. Al hacer clic en
-   * una canción, se reproduce su audio de 30‑90 segundos en un
-   * reproductor personalizable integrado en la misma pantalla.
-   */
-  const musicQuery = document.getElementById('music-query');
-  const musicBtn = document.getElementById('music-search-btn');
-  const musicResults = document.getElementById('music-results');
+/*
+ * Offline audio
+ *
+ * Downloaded tracks are stored as plain responses in a dedicated Cache
+ * Storage bucket, keyed by a synthetic same-origin URL.  The service
+ * worker answers requests for those URLs (including Range requests, so
+ * seeking works offline); IndexedDB's `downloads` store keeps the track
+ * metadata and size for the Downloads view.
+ */
+const AUDIO_CACHE_NAME = 'hola-pwa-audio-v1';
 
-  // Skeleton loader for music search
-  const musicSkeleton = document.getElementById('music-skeleton');
-  /*
-   * Reproductor avanzado
-   *
-   * La interfaz consta de un mini‑player flotante y un reproductor a
-   * pantalla completa. Los dos comparten el mismo audio y estado,
-   * por lo que aquí se referencian sus elementos y se gestiona la
-   * interacción para expandir/minimizar, reproducir/pausar, avanzar,
-   * retroceder, aleatorio y repetición. Además se actualizan las
-   * barras de progreso y los tiempos.
-   */
+function offlineAudioUrl(key) {
+  const base = window.location.origin + window.location.pathname;
+  return new URL(`offline-audio/${encodeURIComponent(key)}`, base).href;
+}
 
-  // Mini player elements
-  const miniPlayer = document.getElementById('miniPlayer');
-  const miniExpandBtn = document.getElementById('miniExpand');
-  const miniCloseBtn = document.getElementById('miniClose');
-  const miniProgressBar = document.getElementById('miniProgressBar');
-  const miniTitle = document.getElementById('miniTitle');
-  const miniArtist = document.getElementById('miniArtist');
-  const btnShuffle = document.getElementById('btnShuffle');
-  const btnPrev = document.getElementById('btnPrev');
-  const btnPlay = document.getElementById('btnPlay');
-  const btnNext = document.getElementById('btnNext');
-  const btnRepeat = document.getElementById('btnRepeat');
-  const playIcon = document.getElementById('playIcon');
-  const pauseIcon = document.getElementById('pauseIcon');
+/*
+ * Music providers
+ *
+ * Every music source is described by a provider object registered with
+ * `registerProvider()`.  The search UI, the source filter radios and the
+ * player only talk to this interface, so adding a source never means
+ * touching `searchMusic()` or `playTrack()` again.  A provider has:
+ *
+ *   id            value stored in `track.source`
+ *   label         name shown in the source filter
+ *   hidden        when true the provider is skipped by search and filters
+ *   local         when true its tracks are files on this device, so they
+ *                 are never downloaded or shared
+ *   search(query, { cursor, signal })
+ *                         -> Promise<{ tracks, next }> with about
+ *                            SEARCH_PAGE_SIZE tracks; `next` is the
+ *                            cursor for the following page, null when
+ *                            there is none.  The first page is asked for
+ *                            with a null cursor; `signal` aborts the
+ *                            request when a newer search starts.
+ *   suggest(query, { signal })
+ *                         -> Promise<string[]> (optional) search terms
+ *                            completing what is being typed
+ *   resolveStream(track)  -> Promise<string> playable audio URL
+ *   metadata(track)       -> Promise<{ title, artist, cover }>, fetching
+ *                            the details when only the id is known
+ *   resolveLink(url)      -> Promise<Track|null> (optional) for links
+ *                            shared into the app; null when the URL does
+ *                            not belong to the provider
+ *
+ * Tracks are plain objects: { source, id, title, artist, cover } plus
+ * any provider specific fields (`stream` for Audius, `videoId` for
+ * YouTube).
+ */
+const musicProviders = new Map();
+const SEARCH_PAGE_SIZE = 6;
 
-  // Full player elements
-  const fullPlayer = document.getElementById('fullPlayer');
-  const fullMinimizeBtn = document.getElementById('fullMinimize');
-  const fullCloseBtn = document.getElementById('fullClose');
-  const fullProgressBar = document.getElementById('fullProgressBar');
-  const fullCurrent = document.getElementById('fullCurrent');
-  const fullTotal = document.getElementById('fullTotal');
-  const fullTrack = document.getElementById('fullTrack');
-  const fullArtist = document.getElementById('fullArtist');
-  const fullCover = document.getElementById('fullCover');
-  const fShuffle = document.getElementById('fShuffle');
-  const fPrev = document.getElementById('fPrev');
-  const fPlay = document.getElementById('fPlay');
-  const fNext = document.getElementById('fNext');
-  const fRepeat = document.getElementById('fRepeat');
-  const fPlayIcon = document.getElementById('fPlayIcon');
-  const fPauseIcon = document.getElementById('fPauseIcon');
+function registerProvider(provider) {
+  musicProviders.set(provider.id, provider);
+}
 
-  // Player state
-  let isShuffle = false;
-  let isRepeat = false;
+function getProvider(id) {
+  const provider = musicProviders.get(id);
+  if (!provider) {
+    throw new Error(`Proveedor de música desconocido: ${id}`);
+  }
+  return provider;
+}
 
-  // Audio element for playback
-  const audio = new Audio();
-  let currentTrack = null;
-  let currentPlaylist = [];
-  let currentTrackIndex = -1;
+// Providers that take part in searches, in registration order
+function getVisibleProviders() {
+  return Array.from(musicProviders.values()).filter((p) => !p.hidden);
+}
 
-  // Helper: format seconds to mm:ss
-  function formatTime(sec) {
-    const s = Math.max(0, Math.floor(sec || 0));
-    const m = Math.floor(s / 60);
-    const r = String(s % 60).padStart(2, '0');
-    return `${m}:${r}`;
-  }
+/*
+ * API instances and failover
+ *
+ * Audius and Piped are both served by several public instances.  Each
+ * provider that needs one declares `instances: true` and a `healthPath`;
+ * the list of base URLs is user editable (Ajustes) and stored in the
+ * `apiInstances` setting.  `fetchFromInstances()` tries the
+ * instances in order, skipping the ones known to be down until every
+ * healthy candidate has failed, and records the outcome so the settings
+ * page can show the status of each instance.
+ */
+const DEFAULT_INSTANCES = {
+  audius: [
+    'https://api.audius.co',
+    'https://discoveryprovider.audius.co',
+    'https://discoveryprovider2.audius.co',
+  ],
+  youtube: [
+    'https://pipedapi.kavin.rocks',
+    'https://pipedapi.adminforge.de',
+    'https://api.piped.private.coffee',
+  ],
+};
+const INSTANCE_TIMEOUT = 8000;
 
-  // Show mini player and hide full player
-  function showMini() {
-    miniPlayer.classList.remove('hidden');
-    fullPlayer.classList.add('hidden');
-    const nav = document.querySelector('.bottom-nav');
-    if (nav) nav.classList.remove('hidden');
-  }
+// Last known state per instance URL: { state, latency, checkedAt, error }
+// where state is 'unknown', 'ok' or 'down'.
+const instanceStatus = new Map();
+const instanceListeners = new Set();
 
-  // Show full player and hide mini player
-  function showFull() {
-    fullPlayer.classList.remove('hidden');
-    miniPlayer.classList.add('hidden');
-    const nav = document.querySelector('.bottom-nav');
-    if (nav) nav.classList.add('hidden');
+function getInstances(providerId) {
+  const saved = getSetting('apiInstances')[providerId];
+  return Array.isArray(saved) && saved.length ? saved : DEFAULT_INSTANCES[providerId] || [];
+}
+
+function setInstances(providerId, urls) {
+  const config = getSetting('apiInstances');
+  if (urls) {
+    config[providerId] = urls;
+  } else {
+    delete config[providerId];
   }
+  // Listeners are notified through the setting subscription below
+  setSetting('apiInstances', config);
+}
 
-  // Toggle play/pause state and update icons
-  function togglePlay() {
-    if (audio.paused) {
-      audio.play();
-    } else {
-      audio.pause();
-    }
+// Normalise user input into a bare origin/path without trailing slash
+function normalizeInstanceUrl(value) {
+  const url = new URL(value.trim());
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('La URL debe empezar por https://');
   }
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
 
-  // Update play/pause icons on both players
-  function updatePlayIcons() {
-    if (audio.paused) {
+function getInstanceStatus(url) {
+  return instanceStatus.get(url) || { state: 'unknown' };
+}
+
+function setInstanceStatus(url, status) {
+  instanceStatus.set(url, { ...status, checkedAt: Date.now() });
+  notifyInstanceListeners();
+}
+
+function notifyInstanceListeners() {
+  instanceListeners.forEach((listener) => listener());
+}
+onSettingChange('apiInstances', notifyInstanceListeners);
+
+// fetch() that gives up after `timeout` milliseconds.  Aborting
+// `signal` rejects with its AbortError rather than a timeout error.
+async function fetchWithTimeout(url, { timeout = INSTANCE_TIMEOUT, signal } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) cancel();
+    signal.addEventListener('abort', cancel);
+  }
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError' && !(signal && signal.aborted)) {
+      throw new Error(`Tiempo de espera agotado (${timeout / 1000} s)`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+// Fetch `path` from the provider's instances with automatic fallback.
+// Resolves with the parsed JSON and the base URL that answered.  Only
+// network errors, timeouts and 5xx answers mark an instance down and
+// move on to the next one; a 4xx or an unreadable body is about the
+// request or the content (a removed video, a bad query), so it is
+// thrown at once.  An aborted `signal` also stops at once.
+async function fetchFromInstances(providerId, path, { signal } = {}) {
+  const instances = getInstances(providerId);
+  // Try healthy and unchecked instances first, known failures last
+  const ordered = instances
+    .filter((url) => getInstanceStatus(url).state !== 'down')
+    .concat(instances.filter((url) => getInstanceStatus(url).state === 'down'));
+  const errors = [];
+  for (const base of ordered) {
+    const started = performance.now();
+    let res;
+    try {
+      res = await fetchWithTimeout(`${base}${path}`, { signal });
+      if (res.status >= 500) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      setInstanceStatus(base, { state: 'down', error: err.message });
+      errors.push(`${base}: ${err.message}`);
+      continue;
+    }
+    if (!res.ok) {
+      const error = new Error(`HTTP ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+    const data = await res.json();
+    setInstanceStatus(base, { state: 'ok', latency: Math.round(performance.now() - started) });
+    return { data, base };
+  }
+  const label = (musicProviders.get(providerId) || {}).label || providerId;
+  const error = new Error(`Todas las instancias de ${label} han fallado`);
+  error.details = errors;
+  throw error;
+}
+
+// Ping one instance's health endpoint and record the result
+async function checkInstance(providerId, base) {
+  const provider = getProvider(providerId);
+  const started = performance.now();
+  try {
+    const res = await fetchWithTimeout(`${base}${provider.healthPath}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    setInstanceStatus(base, { state: 'ok', latency: Math.round(performance.now() - started) });
+  } catch (err) {
+    setInstanceStatus(base, { state: 'down', error: err.message });
+  }
+}
+
+function checkAllInstances() {
+  const checks = [];
+  musicProviders.forEach((provider) => {
+    if (!provider.instances) return;
+    getInstances(provider.id).forEach((base) => checks.push(checkInstance(provider.id, base)));
+  });
+  return Promise.all(checks);
+}
+
+// Audius: open music platform with direct stream URLs
+function audiusStreamUrl(base, id) {
+  return `${base}/v1/tracks/${encodeURIComponent(id)}/stream?app_name=holaPWA`;
+}
+
+function audiusTrackFromApi(t) {
+  return {
+    source: 'audius',
+    id: String(t.id || ''),
+    title: t.title || '',
+    artist: (t.user && (t.user.name || t.user.handle)) || '',
+    cover: (t.artwork && (t.artwork['150x150'] || t.artwork['480x480'])) || '',
+  };
+}
+
+registerProvider({
+  id: 'audius',
+  label: 'Audius',
+  instances: true,
+  healthPath: '/health_check',
+  // The cursor is the offset of the next page
+  async search(query, { cursor = null, signal } = {}) {
+    const offset = cursor || 0;
+    const { data } = await fetchFromInstances(
+      'audius',
+      `/v1/tracks/search?query=${encodeURIComponent(query)}` +
+        `&limit=${SEARCH_PAGE_SIZE}&offset=${offset}&app_name=holaPWA`,
+      { signal }
+    );
+    const items = data.data || [];
+    return {
+      tracks: items.map(audiusTrackFromApi).filter((t) => t.id),
+      next: items.length >= SEARCH_PAGE_SIZE ? offset + items.length : null,
+    };
+  },
+  // The URL is rebuilt on every play, never taken from the search that
+  // found the track.  Looking the track up first picks an instance that
+  // answers right now (dead ones are marked down on the way), so saved
+  // and queued tracks fail over as well, and so does the retry after a
+  // stream error.
+  async resolveStream(track) {
+    const { base } = await fetchFromInstances(
+      'audius',
+      `/v1/tracks/${encodeURIComponent(track.id)}?app_name=holaPWA`
+    );
+    return audiusStreamUrl(base, track.id);
+  },
+  async metadata(track) {
+    if (track.title) {
+      return { title: track.title, artist: track.artist, cover: track.cover };
+    }
+    const { data } = await fetchFromInstances(
+      'audius',
+      `/v1/tracks/${encodeURIComponent(track.id)}?app_name=holaPWA`
+    );
+    const { title, artist, cover } = audiusTrackFromApi(data.data || {});
+    return { title, artist, cover };
+  },
+  // Track pages look like audius.co/<artist>/<slug>; the API resolves
+  // them to the track object.
+  async resolveLink(url) {
+    if (!/(^|\.)audius\.co$/.test(url.hostname)) return null;
+    if (url.pathname.split('/').filter(Boolean).length < 2) return null;
+    const { data } = await fetchFromInstances(
+      'audius',
+      `/v1/resolve?url=${encodeURIComponent(url.href)}&app_name=holaPWA`
+    );
+    const track = audiusTrackFromApi(data.data || {});
+    if (!track.id || !track.title) {
+      throw new Error('El enlace de Audius no es una canción');
+    }
+    return track;
+  },
+});
+
+// Piped: privacy friendly YouTube front-end; audio comes from its
+// streams endpoint, which must be queried right before playback.  The
+// Piped API lives at the root of each instance (/search, /streams/:id,
+// /healthcheck…), not under Invidious' /api/v1.
+registerProvider({
+  id: 'youtube',
+  label: 'YouTube',
+  instances: true,
+  healthPath: '/healthcheck',
+  // Piped pages hold a couple of dozen items; they are handed out
+  // SEARCH_PAGE_SIZE at a time and the rest travel in the cursor along
+  // with Piped's own `nextpage` token.
+  async search(query, { cursor = null, signal } = {}) {
+    let { items = [], nextpage = null } = cursor || {};
+    if (!cursor || (!items.length && nextpage)) {
+      const path = cursor
+        ? `/nextpage/search?nextpage=${encodeURIComponent(nextpage)}` +
+          `&q=${encodeURIComponent(query)}&filter=videos`
+        : `/search?q=${encodeURIComponent(query)}&filter=videos`;
+      const { data } = await fetchFromInstances('youtube', path, { signal });
+      const page = data.items || data;
+      items = Array.isArray(page) ? page : [];
+      nextpage = data.nextpage || null;
+    }
+    const tracks = items.slice(0, SEARCH_PAGE_SIZE).map((item) => {
+      const videoId = item.id || item.url?.split('v=')[1] || item.url || '';
+      return {
+        source: 'youtube',
+        id: videoId,
+        title: item.title || '',
+        artist: item.uploader || '',
+        cover: item.thumbnail || '',
+        videoId: videoId,
+      };
+    });
+    const rest = items.slice(SEARCH_PAGE_SIZE);
+    return { tracks, next: rest.length || nextpage ? { items: rest, nextpage } : null };
+  },
+  async suggest(query, { signal } = {}) {
+    const { data } = await fetchFromInstances(
+      'youtube',
+      `/suggestions?query=${encodeURIComponent(query)}`,
+      { signal }
+    );
+    return Array.isArray(data) ? data.filter((text) => typeof text === 'string') : [];
+  },
+  async resolveStream(track) {
+    const { data } = await fetchFromInstances(
+      'youtube',
+      `/streams/${encodeURIComponent(track.videoId || track.id)}`
+    );
+    const audioStream = (data?.audioStreams || [])[0];
+    if (!audioStream || !audioStream.url) {
+      throw new Error('No se encontró stream de audio');
+    }
+    return audioStream.url;
+  },
+  async metadata(track) {
+    if (track.title) {
+      return { title: track.title, artist: track.artist, cover: track.cover };
+    }
+    const { data } = await fetchFromInstances(
+      'youtube',
+      `/streams/${encodeURIComponent(track.videoId || track.id)}`
+    );
+    return {
+      title: data.title || '',
+      artist: data.uploader || '',
+      cover: data.thumbnailUrl || '',
+    };
+  },
+  // youtube.com/watch?v=…, youtu.be/…, music.youtube.com and shorts;
+  // the details are fetched later through metadata().
+  async resolveLink(url) {
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    let videoId = '';
+    if (host === 'youtu.be') {
+      videoId = url.pathname.split('/')[1] || '';
+    } else if (host === 'youtube.com') {
+      videoId =
+        url.searchParams.get('v') ||
+        (url.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]+)/) || [])[1] ||
+        '';
+    }
+    if (!videoId) return null;
+    return { source: 'youtube', id: videoId, videoId, title: '', artist: '', cover: '' };
+  },
+});
+
+// Mock provider: generates short sine‑wave tracks locally so the search
+// and player can be exercised without any network access.  It stays
+// hidden unless the page is opened with `?mock` or the `mockProvider`
+// setting is on.
+const MOCK_NOTES = [
+  { title: 'La 440', freq: 440 },
+  { title: 'Do central', freq: 261.63 },
+  { title: 'Mi agudo', freq: 659.25 },
+  { title: 'Sol grave', freq: 196 },
+];
+
+// Build a mono 8‑bit WAV data URI containing a sine tone
+function createToneDataUri(freq, seconds = 8, sampleRate = 8000) {
+  const samples = Math.floor(seconds * sampleRate);
+  const bytes = new Uint8Array(44 + samples);
+  const view = new DataView(bytes.buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+  };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate, true);
+  view.setUint16(32, 1, true);
+  view.setUint16(34, 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples, true);
+  for (let i = 0; i < samples; i++) {
+    bytes[44 + i] = 128 + Math.round(60 * Math.sin((2 * Math.PI * freq * i) / sampleRate));
+  }
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return `data:audio/wav;base64,${btoa(binary)}`;
+}
+
+registerProvider({
+  id: 'mock',
+  label: 'Prueba',
+  hidden: !(
+    new URLSearchParams(window.location.search).has('mock') ||
+    getSetting('mockProvider')
+  ),
+  // Three pages of the same notes, to exercise "load more"
+  async search(query, { cursor = null } = {}) {
+    const page = cursor || 0;
+    return {
+      tracks: MOCK_NOTES.map((note, index) => ({
+        source: 'mock',
+        id: String(page * MOCK_NOTES.length + index),
+        title: `${note.title}${page ? ` ${page + 1}` : ''} · ${query}`,
+        artist: 'Generador local',
+        cover: '',
+      })),
+      next: page < 2 ? page + 1 : null,
+    };
+  },
+  async suggest(query) {
+    return MOCK_NOTES.map((note) => note.title).filter((title) =>
+      normalizeSearchText(title).startsWith(normalizeSearchText(query))
+    );
+  },
+  async resolveStream(track) {
+    const note = MOCK_NOTES[Number(track.id) % MOCK_NOTES.length] || MOCK_NOTES[0];
+    return createToneDataUri(note.freq);
+  },
+  async metadata(track) {
+    const note = MOCK_NOTES[Number(track.id) % MOCK_NOTES.length] || MOCK_NOTES[0];
+    return {
+      title: track.title || note.title,
+      artist: track.artist || 'Generador local',
+      cover: track.cover || '',
+    };
+  },
+});
+
+/*
+ * Lyrics
+ *
+ * Lyrics are plain LRC text ("[mm:ss.xx] line"); text without any time
+ * tags is shown as unsynced lyrics.  They come from providers registered
+ * with `registerLyricsProvider()`, tried in order until one answers.  A
+ * lyrics provider has:
+ *
+ *   id            stored with the cached lyrics as their source
+ *   hidden        when true the provider is skipped
+ *   fetch(track)  -> Promise<string|null> LRC or plain text, null when
+ *                    it has nothing for the track; it rejects when it
+ *                    could not be asked (offline, server error)
+ *
+ * Whatever a provider returns (or the user imports) is cached in the
+ * `lyrics` store as { key, text, source, savedAt }, keyed like downloads.
+ */
+const lyricsProviders = [];
+
+function registerLyricsProvider(provider) {
+  lyricsProviders.push(provider);
+}
+
+const LRC_TIME_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+
+// Parse LRC text into { synced, lines: [{ time, text }] } sorted by
+// time.  `time` is null for unsynced lyrics.  Lines with several time
+// tags (repeated choruses) appear once per tag; `[offset:±ms]` shifts
+// every line.
+function parseLrc(text) {
+  const timed = [];
+  const plain = [];
+  let offset = 0;
+  String(text)
+    .split(/\r?\n/)
+    .forEach((raw) => {
+      const offsetTag = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+      if (offsetTag) {
+        offset = Number(offsetTag[1]) / 1000;
+        return;
+      }
+      // Other ID tags ([ar:…], [ti:…]) carry no lyrics
+      if (/^\s*\[[a-z]+:[^\]]*\]\s*$/i.test(raw)) return;
+      const times = [];
+      const line = raw
+        .replace(LRC_TIME_TAG, (_, min, sec) => {
+          times.push(Number(min) * 60 + Number(sec.replace(':', '.')));
+          return '';
+        })
+        .trim();
+      if (times.length) times.forEach((time) => timed.push({ time, text: line }));
+      else plain.push({ time: null, text: raw.trim() });
+    });
+  if (timed.length) {
+    timed.forEach((line) => {
+      line.time = Math.max(0, line.time - offset);
+    });
+    return { synced: true, lines: timed.sort((a, b) => a.time - b.time) };
+  }
+  // Trim blank lines around unsynced lyrics
+  while (plain.length && !plain[0].text) plain.shift();
+  while (plain.length && !plain[plain.length - 1].text) plain.pop();
+  return { synced: false, lines: plain };
+}
+
+// LRCLIB: open database of synced lyrics, searched by title and artist
+registerLyricsProvider({
+  id: 'lrclib',
+  async fetch(track) {
+    if (!track.title) return null;
+    const params = new URLSearchParams({ track_name: track.title });
+    if (track.artist) params.set('artist_name', track.artist);
+    const res = await fetchWithTimeout(`https://lrclib.net/api/search?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const results = await res.json();
+    if (!Array.isArray(results) || !results.length) return null;
+    const best = results.find((r) => r.syncedLyrics) || results.find((r) => r.plainLyrics);
+    return best ? best.syncedLyrics || best.plainLyrics : null;
+  },
+});
+
+// Mock lyrics for the mock provider's tones, so the panel can be tried
+// without network access.  Hidden like the mock music provider.
+registerLyricsProvider({
+  id: 'mock',
+  hidden: !(
+    new URLSearchParams(window.location.search).has('mock') ||
+    getSetting('mockProvider')
+  ),
+  async fetch(track) {
+    if (track.source !== 'mock') return null;
+    const note = MOCK_NOTES[Number(track.id) % MOCK_NOTES.length] || MOCK_NOTES[0];
+    return [
+      `[ti:${note.title}]`,
+      `[00:00.00] ${note.title}`,
+      `[00:02.00] ${note.freq} hercios`,
+      '[00:04.00] Una onda senoidal',
+      '[00:06.00] Generada en el navegador',
+    ].join('\n');
+  },
+});
+
+/*
+ * Local audio files
+ *
+ * Files opened from the device are indexed in the `library` store as
+ * { id, title, artist, album, cover, name, size, addedAt, file, handle }.
+ * Files picked with the file input keep their data as `file` (a Blob);
+ * files from a folder opened with the File System Access API only keep
+ * their `handle`, read when played (asking for permission again if the
+ * browser forgot it).  `cover` is the embedded picture as a Blob.
+ *
+ * Tags are read in JS from the file itself: ID3v2 (and ID3v1 at the end
+ * of the file) for MP3, Vorbis comments for FLAC and Ogg Vorbis/Opus,
+ * including their embedded pictures.  Anything else is named after the
+ * file.
+ */
+const LOCAL_AUDIO_EXTENSIONS = ['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'wav', 'webm'];
+// Ogg comment headers (and their pictures) are looked for in this much
+// of the file
+const OGG_TAG_READ_LIMIT = 1024 * 1024;
+
+function isLocalAudioFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  return file.type.startsWith('audio/') || LOCAL_AUDIO_EXTENSIONS.includes(extension);
+}
+
+async function readFileBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function latin1(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+// Lower case without accents, for matching search terms
+function normalizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+// ID3 text encodings: 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(bytes, encoding) {
+  let label = 'latin1';
+  if (encoding === 1) label = bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-16le';
+  else if (encoding === 2) label = 'utf-16be';
+  else if (encoding === 3) label = 'utf-8';
+  // Several values are separated by NULs (ID3v2.4); keep the first
+  return new TextDecoder(label).decode(bytes).split('\0')[0].trim();
+}
+
+// Offset just past a NUL-terminated string starting at `pos`
+function skipId3String(bytes, pos, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  while (pos < bytes.length) {
+    if (!wide && bytes[pos] === 0) return pos + 1;
+    if (wide && bytes[pos] === 0 && bytes[pos + 1] === 0) return pos + 2;
+    pos += wide ? 2 : 1;
+  }
+  return pos;
+}
+
+function syncsafeInt(bytes, pos) {
+  return (bytes[pos] << 21) | (bytes[pos + 1] << 14) | (bytes[pos + 2] << 7) | bytes[pos + 3];
+}
+
+function uint32BE(bytes, pos) {
+  return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function uint32LE(bytes, pos) {
+  return ((bytes[pos + 3] << 24) | (bytes[pos + 2] << 16) | (bytes[pos + 1] << 8) | bytes[pos]) >>> 0;
+}
+
+// Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+function removeUnsync(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+// APIC (v2.3/2.4) and PIC (v2.2) frames
+function parseId3Picture(body, version) {
+  const encoding = body[0];
+  let pos;
+  let mime;
+  if (version === 2) {
+    mime = latin1(body.subarray(1, 4)).toLowerCase() === 'png' ? 'image/png' : 'image/jpeg';
+    pos = 4;
+  } else {
+    const end = body.indexOf(0, 1);
+    if (end < 0) return null;
+    mime = latin1(body.subarray(1, end)).toLowerCase() || 'image/jpeg';
+    if (!mime.includes('/')) mime = `image/${mime === 'jpg' ? 'jpeg' : mime}`;
+    pos = end + 1;
+  }
+  // Picture type, then the description
+  pos = skipId3String(body, pos + 1, encoding);
+  return pos < body.length ? { mime, data: body.slice(pos) } : null;
+}
+
+// `bytes` holds the whole tag, header included
+function parseId3v2(bytes) {
+  const version = bytes[3];
+  const flags = bytes[5];
+  let data = bytes.subarray(10);
+  // Up to v2.3 unsynchronisation applies to the whole tag
+  if (flags & 0x80 && version < 4) data = removeUnsync(data);
+  let pos = 0;
+  if (flags & 0x40 && version === 3) pos = 4 + uint32BE(data, 0);
+  else if (flags & 0x40 && version === 4) pos = syncsafeInt(data, 0);
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const tags = {};
+  while (pos + headerLength <= data.length) {
+    const id = latin1(data.subarray(pos, pos + idLength));
+    // Padding (or garbage) ends the frames
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+    let size;
+    if (version === 2) size = (data[pos + 3] << 16) | (data[pos + 4] << 8) | data[pos + 5];
+    else if (version === 4) size = syncsafeInt(data, pos + 4);
+    else size = uint32BE(data, pos + 4);
+    const frameFlags = version === 2 ? 0 : data[pos + 9];
+    let body = data.subarray(pos + headerLength, pos + headerLength + size);
+    pos += headerLength + size;
+    // Compressed or encrypted frames are skipped
+    if ((version === 3 && frameFlags & 0xc0) || (version === 4 && frameFlags & 0x0c)) continue;
+    if (version === 4) {
+      if (frameFlags & 0x01) body = body.subarray(4);
+      if (frameFlags & 0x02) body = removeUnsync(body);
+    }
+    if (!body.length) continue;
+    if (id === 'TIT2' || id === 'TT2') tags.title = decodeId3Text(body.subarray(1), body[0]);
+    else if (id === 'TPE1' || id === 'TP1') tags.artist = decodeId3Text(body.subarray(1), body[0]);
+    else if (id === 'TALB' || id === 'TAL') tags.album = decodeId3Text(body.subarray(1), body[0]);
+    else if ((id === 'APIC' || id === 'PIC') && !tags.picture) tags.picture = parseId3Picture(body, version);
+  }
+  return tags;
+}
+
+// The last 128 bytes of older MP3 files
+function parseId3v1(bytes) {
+  if (latin1(bytes.subarray(0, 3)) !== 'TAG') return {};
+  const field = (start) => decodeId3Text(bytes.subarray(start, start + 30), 0);
+  return { title: field(3), artist: field(33), album: field(63) };
+}
+
+// FLAC METADATA_BLOCK_PICTURE, also used base64 encoded in Ogg comments
+function parseFlacPicture(bytes) {
+  let pos = 4;
+  const mimeLength = uint32BE(bytes, pos);
+  const mime = latin1(bytes.subarray(pos + 4, pos + 4 + mimeLength)) || 'image/jpeg';
+  pos += 4 + mimeLength;
+  pos += 4 + uint32BE(bytes, pos);
+  // Width, height, colour depth and palette size
+  pos += 16;
+  const length = uint32BE(bytes, pos);
+  const data = bytes.slice(pos + 4, pos + 4 + length);
+  return data.length === length && length ? { mime, data } : null;
+}
+
+// Vorbis comment block (FLAC, Ogg Vorbis, Opus).  Stops quietly at the
+// end of `bytes`, so a truncated block still yields its first fields.
+function parseVorbisComment(bytes) {
+  const tags = {};
+  const decoder = new TextDecoder('utf-8');
+  let pos = 4 + uint32LE(bytes, 0);
+  const count = uint32LE(bytes, pos);
+  pos += 4;
+  for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+    const length = uint32LE(bytes, pos);
+    if (pos + 4 + length > bytes.length) break;
+    const entry = decoder.decode(bytes.subarray(pos + 4, pos + 4 + length));
+    pos += 4 + length;
+    const separator = entry.indexOf('=');
+    if (separator < 0) continue;
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1).trim();
+    if (key === 'TITLE' && !tags.title) tags.title = value;
+    else if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+    else if (key === 'ALBUM' && !tags.album) tags.album = value;
+    else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+      try {
+        tags.picture = parseFlacPicture(Uint8Array.from(atob(value), (c) => c.charCodeAt(0)));
+      } catch (e) {
+        // Malformed picture; keep the text tags
+      }
+    }
+  }
+  return tags;
+}
+
+async function readFlacTags(file) {
+  const tags = {};
+  let pos = 4;
+  for (;;) {
+    const header = await readFileBytes(file, pos, pos + 4);
+    if (header.length < 4) break;
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    if (type === 4) {
+      Object.assign(tags, parseVorbisComment(await readFileBytes(file, pos + 4, pos + 4 + length)), {
+        picture: tags.picture,
+      });
+    } else if (type === 6 && !tags.picture) {
+      tags.picture = parseFlacPicture(await readFileBytes(file, pos + 4, pos + 4 + length));
+    }
+    pos += 4 + length;
+    // Last metadata block
+    if (header[0] & 0x80) break;
+  }
+  if (!tags.picture) delete tags.picture;
+  return tags;
+}
+
+// Rebuild the second packet (the comment header) of an Ogg stream from
+// its pages
+function parseOggTags(bytes) {
+  const packets = [[]];
+  let pos = 0;
+  while (packets.length < 3 && pos + 27 <= bytes.length && latin1(bytes.subarray(pos, pos + 4)) === 'OggS') {
+    const segments = bytes[pos + 26];
+    let dataPos = pos + 27 + segments;
+    for (let i = 0; i < segments && packets.length < 3; i++) {
+      const lacing = bytes[pos + 27 + i];
+      packets[packets.length - 1].push(bytes.subarray(dataPos, dataPos + lacing));
+      dataPos += lacing;
+      // A segment shorter than 255 bytes ends the packet
+      if (lacing < 255) packets.push([]);
+    }
+    pos = dataPos;
+  }
+  const parts = packets[1] || [];
+  const comment = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    comment.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  if (latin1(comment.subarray(0, 7)) === '\x03vorbis') return parseVorbisComment(comment.subarray(7));
+  if (latin1(comment.subarray(0, 8)) === 'OpusTags') return parseVorbisComment(comment.subarray(8));
+  return {};
+}
+
+// { title, artist, album, picture: { mime, data } } as far as known
+async function readAudioTags(file) {
+  let tags = {};
+  try {
+    const head = await readFileBytes(file, 0, 10);
+    const magic = latin1(head.subarray(0, 4));
+    if (magic.startsWith('ID3')) {
+      // Tag size excludes the header (and the footer, if present)
+      const size = syncsafeInt(head, 6) + 10 + (head[5] & 0x10 ? 10 : 0);
+      tags = parseId3v2(await readFileBytes(file, 0, size));
+    } else if (magic === 'fLaC') {
+      tags = await readFlacTags(file);
+    } else if (magic === 'OggS') {
+      tags = parseOggTags(await readFileBytes(file, 0, OGG_TAG_READ_LIMIT));
+    }
+    if ((!tags.title || !tags.artist) && file.size > 128) {
+      const v1 = parseId3v1(await readFileBytes(file, file.size - 128, file.size));
+      tags = { ...v1, ...Object.fromEntries(Object.entries(tags).filter(([, value]) => value)) };
+    }
+  } catch (err) {
+    console.error(`No se pudieron leer las etiquetas de ${file.name}:`, err);
+  }
+  return tags;
+}
+
+function getLibrary() {
+  return dbRequest('library', 'readonly', (store) => store.getAll());
+}
+
+function getLibraryRecord(id) {
+  return dbRequest('library', 'readonly', (store) => store.get(id));
+}
+
+function saveLibraryRecord(record) {
+  return dbRequest('library', 'readwrite', (store) => store.put(record));
+}
+
+function deleteLibraryRecord(id) {
+  return dbRequest('library', 'readwrite', (store) => store.delete(id));
+}
+
+// Object URLs for covers live as long as the page; the ones for audio
+// are revoked once both decks have moved on
+const localCoverUrls = new Map();
+const localAudioUrls = [];
+
+function localTrackFromRecord(record) {
+  let cover = '';
+  if (record.cover) {
+    if (!localCoverUrls.has(record.id)) localCoverUrls.set(record.id, URL.createObjectURL(record.cover));
+    cover = localCoverUrls.get(record.id);
+  }
+  return { source: 'local', id: record.id, title: record.title, artist: record.artist, cover };
+}
+
+async function readLocalFile(record) {
+  if (record.file) return record.file;
+  if (!record.handle) throw new Error('El archivo ya no está disponible');
+  const options = { mode: 'read' };
+  if ((await record.handle.queryPermission(options)) !== 'granted' &&
+      (await record.handle.requestPermission(options)) !== 'granted') {
+    throw new Error('No hay permiso para leer el archivo');
+  }
+  return record.handle.getFile();
+}
+
+// Local: files from this device, indexed in IndexedDB
+registerProvider({
+  id: 'local',
+  label: 'Local',
+  local: true,
+  // The cursor is the offset of the next page
+  async search(query, { cursor = null } = {}) {
+    let records;
+    try {
+      records = await getLibrary();
+    } catch (err) {
+      // No IndexedDB, so no library to search
+      return { tracks: [], next: null };
+    }
+    const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    const matches = records
+      .filter((record) => {
+        const text = normalizeSearchText(`${record.title} ${record.artist} ${record.album} ${record.name}`);
+        return words.every((word) => text.includes(word));
+      })
+      .sort((a, b) => a.title.localeCompare(b.title));
+    const offset = cursor || 0;
+    const end = offset + SEARCH_PAGE_SIZE;
+    return {
+      tracks: matches.slice(offset, end).map(localTrackFromRecord),
+      next: end < matches.length ? end : null,
+    };
+  },
+  async resolveStream(track) {
+    const record = await getLibraryRecord(track.id);
+    if (!record) throw new Error('La canción ya no está en la biblioteca');
+    const url = URL.createObjectURL(await readLocalFile(record));
+    localAudioUrls.push(url);
+    if (localAudioUrls.length > 3) URL.revokeObjectURL(localAudioUrls.shift());
+    return url;
+  },
+  async metadata(track) {
+    const record = await getLibraryRecord(track.id);
+    if (!record) return { title: track.title, artist: track.artist, cover: track.cover };
+    const { title, artist, cover } = localTrackFromRecord(record);
+    return { title, artist, cover };
+  },
+});
+
+/*
+ * Navigation handling for the bottom navigation bar.
+ *
+ * The application consists of multiple <section> elements, each representing
+ * a different page (home, music, theme, settings, profile). A
+ * corresponding set of buttons in the bottom navigation bar controls
+ * which section is visible. When a nav item is clicked, the script
+ * removes the `active` class from all sections and nav items, then
+ * adds it to the selected ones. This ensures only one section is
+ * visible at a time, creating a simple single‑page app experience.
+ * The visible section is mirrored in the URL hash by the router at the
+ * end of this handler, so nav clicks go through `navigate()`.
+ */
+
+// Attach click listeners after the DOM has loaded
+window.addEventListener('DOMContentLoaded', () => {
+  const navItems = document.querySelectorAll('.nav-item');
+  const sections = document.querySelectorAll('.section');
+
+  // Make `targetId` the visible section.  Does nothing if it already is,
+  // so the router can call it on every URL change.
+  function showSection(targetId) {
+    const targetSection = document.getElementById(targetId);
+    if (!targetSection || !targetSection.classList.contains('section')) return false;
+    if (targetSection.classList.contains('active')) return true;
+    // Update nav item active state; the selected tab is the only one in
+    // the tab order (roving tabindex)
+    navItems.forEach((btn) => {
+      const selected = btn.getAttribute('data-section') === targetId;
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-selected', String(selected));
+      btn.tabIndex = selected ? 0 : -1;
+    });
+    // Update section visibility
+    sections.forEach((section) => section.classList.remove('active'));
+    targetSection.classList.add('active');
+    // Let other parts of the app react to the newly visible section
+    document.dispatchEvent(new CustomEvent('sectionchange', { detail: { section: targetId } }));
+    return true;
+  }
+
+  navItems.forEach((item, index) => {
+    item.addEventListener('click', () => {
+      const targetId = item.getAttribute('data-section');
+      // The music tab keeps the current search in its URL so it can be
+      // shared or restored from history.
+      navigate(targetId, targetId === 'music' && routeQuery ? { q: routeQuery } : {});
+      // Play click sound on navigation change
+      playClickSound();
+    });
+    // Tablist keyboard pattern: arrows move between tabs (wrapping),
+    // Home/End jump to the ends; the focused tab is activated.
+    item.addEventListener('keydown', (e) => {
+      const last = navItems.length - 1;
+      let target;
+      if (e.key === 'ArrowRight') target = index === last ? 0 : index + 1;
+      else if (e.key === 'ArrowLeft') target = index === 0 ? last : index - 1;
+      else if (e.key === 'Home') target = 0;
+      else if (e.key === 'End') target = last;
+      else return;
+      e.preventDefault();
+      navItems[target].focus();
+      navItems[target].click();
+    });
+  });
+
+  // Theme selection handling
+  const lightBtn = document.getElementById('theme-light');
+  const darkBtn = document.getElementById('theme-dark');
+  const glassBtn = document.getElementById('theme-glass');
+  const autoBtn = document.getElementById('theme-auto');
+  /*
+   * Tema automático
+   *
+   * With the `autoTheme` setting on, the app switches between the light
+   * and dark themes by itself.  `autoThemeMode` picks the rule:
+   *
+   *   system    follow prefers-color-scheme, live through matchMedia
+   *   schedule  light between two times of day (`autoThemeSchedule`)
+   *   sun       light between local sunrise and sunset, computed offline
+   *             from a manually entered location (`autoThemeLocation`)
+   *
+   * The `theme` setting is left alone, so turning auto off returns to
+   * the theme chosen by hand.  For the time based modes a timer fires at
+   * the next boundary; it is re-armed whenever the page becomes visible
+   * again because timers do not run while a device sleeps.
+   */
+  const DEFAULT_AUTO_SCHEDULE = { lightFrom: '06:00', darkFrom: '18:00' };
+  // Longest wait before the timer re-checks, in case the clock changes
+  const MAX_AUTO_THEME_WAIT = 6 * 60 * 60 * 1000;
+  const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  let autoThemeTimer = null;
+  // True while the custom theme editor previews an unsaved draft; auto
+  // theme waits until the draft is saved or abandoned
+  let themeDraftPreviewing = false;
+
+  function isAutoThemeOn() {
+    return getSetting('autoTheme');
+  }
+
+  // Before the modes existed auto mode was a fixed 06–18 schedule, which
+  // is why that is the default
+  function getAutoThemeMode() {
+    return getSetting('autoThemeMode');
+  }
+
+  function getAutoSchedule() {
+    const schedule = getSetting('autoThemeSchedule');
+    const valid = (t) => /^\d{2}:\d{2}$/.test(t);
+    return {
+      lightFrom: valid(schedule.lightFrom) ? schedule.lightFrom : DEFAULT_AUTO_SCHEDULE.lightFrom,
+      darkFrom: valid(schedule.darkFrom) ? schedule.darkFrom : DEFAULT_AUTO_SCHEDULE.darkFrom,
+    };
+  }
+
+  // { lat, lon } in degrees, or null when no location was entered
+  function getAutoLocation() {
+    const location = getSetting('autoThemeLocation');
+    if (!location) return null;
+    const lat = Number(location.lat);
+    const lon = Number(location.lon);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) return null;
+    return { lat, lon };
+  }
+
+  // Date for "HH:MM" on the same day as `day`
+  function atTime(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  }
+
+  // Sunrise and sunset for the day containing `day`, using the sunrise
+  // equation with the usual -0.833° correction for refraction and the
+  // sun's radius.  Returns { polar: 'day' | 'night' } when the sun does
+  // not rise or set that day.
+  function getSunTimes(day, lat, lon) {
+    const rad = Math.PI / 180;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const noon = new Date(day);
+    noon.setHours(12, 0, 0, 0);
+    const d = noon.valueOf() / dayMs - 0.5 + J1970 - J2000;
+    const lw = -lon * rad;
+    const phi = lat * rad;
+    const cycle = Math.round(d - 0.0009 - lw / (2 * Math.PI));
+    const meanSolarTime = 0.0009 + lw / (2 * Math.PI) + cycle;
+    const M = rad * (357.5291 + 0.98560028 * meanSolarTime);
+    const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const L = M + C + rad * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(L) * Math.sin(rad * 23.4397));
+    const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+    const cosH =
+      (Math.sin(-0.833 * rad) - Math.sin(phi) * Math.sin(declination)) /
+      (Math.cos(phi) * Math.cos(declination));
+    if (cosH < -1) return { polar: 'day' };
+    if (cosH > 1) return { polar: 'night' };
+    const halfDay = Math.acos(cosH) / (2 * Math.PI);
+    const fromJulian = (j) => new Date((j + 0.5 - J1970) * dayMs);
+    return { sunrise: fromJulian(transit - halfDay), sunset: fromJulian(transit + halfDay) };
+  }
+
+  // Light or dark for `now` according to the current mode, plus the time
+  // of the next switch (null when it is driven by events).
+  function computeAutoTheme(now = new Date()) {
+    const mode = getAutoThemeMode();
+    if (mode === 'system') {
+      const dark = darkSchemeQuery ? darkSchemeQuery.matches : false;
+      return { theme: dark ? 'dark' : 'light', next: null };
+    }
+    let lightFrom;
+    let darkFrom;
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+    if (mode === 'sun' && getAutoLocation()) {
+      const { lat, lon } = getAutoLocation();
+      const today = getSunTimes(now, lat, lon);
+      if (today.polar) {
+        // Midnight sun or polar night: re-evaluate tomorrow
+        tomorrow.setHours(0, 0, 0, 0);
+        return { theme: today.polar === 'day' ? 'light' : 'dark', next: tomorrow };
+      }
+      lightFrom = today.sunrise;
+      darkFrom = today.sunset;
+      if (now >= darkFrom) {
+        const next = getSunTimes(tomorrow, lat, lon);
+        return { theme: 'dark', next: next.sunrise || atTime(tomorrow, '00:00') };
+      }
+    } else {
+      const schedule = mode === 'sun' ? DEFAULT_AUTO_SCHEDULE : getAutoSchedule();
+      lightFrom = atTime(now, schedule.lightFrom);
+      darkFrom = atTime(now, schedule.darkFrom);
+      // A schedule may wrap midnight (e.g. light from 20:00 to 08:00)
+      if (lightFrom > darkFrom) {
+        if (now >= lightFrom) return { theme: 'light', next: atTime(tomorrow, schedule.darkFrom) };
+        if (now >= darkFrom) return { theme: 'dark', next: lightFrom };
+        return { theme: 'light', next: darkFrom };
+      }
+      if (now >= darkFrom) return { theme: 'dark', next: atTime(tomorrow, schedule.lightFrom) };
+    }
+    if (now < lightFrom) return { theme: 'dark', next: lightFrom };
+    return { theme: 'light', next: darkFrom };
+  }
+
+  // Apply the automatic theme now and arm the timer for the next switch
+  function applyAutoTheme() {
+    clearTimeout(autoThemeTimer);
+    autoThemeTimer = null;
+    if (themeDraftPreviewing) return;
+    const { theme, next } = computeAutoTheme();
+    const themeClass = theme === 'light' ? 'theme-light' : 'theme-dark';
+    if (!document.body.classList.contains(themeClass)) applyThemeClass(themeClass);
+    if (next) {
+      const wait = Math.min(Math.max(next - Date.now(), 0) + 1000, MAX_AUTO_THEME_WAIT);
+      autoThemeTimer = setTimeout(applyAutoTheme, wait);
+    }
+    updateAutoThemeStatus(theme, next);
+  }
+
+  function stopAutoThemeTimer() {
+    clearTimeout(autoThemeTimer);
+    autoThemeTimer = null;
+  }
+
+  if (darkSchemeQuery && darkSchemeQuery.addEventListener) {
+    darkSchemeQuery.addEventListener('change', () => {
+      if (isAutoThemeOn() && getAutoThemeMode() === 'system') applyAutoTheme();
+    });
+  }
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && isAutoThemeOn()) applyAutoTheme();
+  });
+
+  // Swap the body theme class.  `null` leaves the default gradient.
+  // Listeners of the `themechange` event (e.g. the full player overlay)
+  // refresh their colours.
+  const THEME_CLASSES = ['theme-light', 'theme-dark', 'theme-glass', 'theme-custom'];
+  function applyThemeClass(themeClass) {
+    document.body.classList.remove(...THEME_CLASSES);
+    if (themeClass) document.body.classList.add(themeClass);
+    if (themeClass !== 'theme-custom') clearCustomThemeProperties();
+    document.dispatchEvent(new CustomEvent('themechange'));
+  }
+
+  /*
+   * Temas personalizados
+   *
+   * A custom theme is a named set of colours plus a blur radius:
+   *
+   *   { name, accent, background, surface, text, blur }
+   *
+   * Colours are #rrggbb strings and blur is in pixels.  They are applied
+   * as --custom-* properties on <body> together with the `theme-custom`
+   * class, which styles.css maps onto the app's surfaces.  Saved themes
+   * live in the `customThemes` setting; `theme` is 'custom' and
+   * `customTheme` holds the name of the active one.
+   */
+  const CUSTOM_THEME_FIELDS = ['accent', 'background', 'surface', 'text'];
+  const DEFAULT_CUSTOM_THEME = {
+    name: '',
+    accent: '#00c4b4',
+    background: '#1b1035',
+    surface: '#2d2250',
+    text: '#ffffff',
+    blur: 12,
+  };
+  const MAX_CUSTOM_THEME_BLUR = 40;
+  // The custom theme currently on screen (saved or being previewed)
+  let activeCustomTheme = null;
+
+  // Validated copy of a theme read from storage or an imported file, or
+  // null when it is not usable.
+  function normalizeCustomTheme(theme) {
+    if (!theme || typeof theme !== 'object') return null;
+    const name = String(theme.name || '').trim().slice(0, 40);
+    if (!name) return null;
+    const normalized = { name };
+    for (const field of CUSTOM_THEME_FIELDS) {
+      if (!/^#[0-9a-f]{6}$/i.test(theme[field])) return null;
+      normalized[field] = theme[field].toLowerCase();
+    }
+    const blur = Number(theme.blur);
+    normalized.blur = Number.isFinite(blur)
+      ? Math.min(MAX_CUSTOM_THEME_BLUR, Math.max(0, Math.round(blur)))
+      : DEFAULT_CUSTOM_THEME.blur;
+    return normalized;
+  }
+
+  function getCustomThemes() {
+    return getSetting('customThemes').map(normalizeCustomTheme).filter(Boolean);
+  }
+
+  function setCustomThemes(list) {
+    setSetting('customThemes', list);
+  }
+
+  // Add or replace (by name) themes in the saved list
+  function upsertCustomThemes(themes) {
+    const list = getCustomThemes();
+    themes.forEach((theme) => {
+      const index = list.findIndex((t) => t.name === theme.name);
+      if (index === -1) list.push(theme);
+      else list[index] = theme;
+    });
+    setCustomThemes(list);
+  }
+
+  // "#rrggbb" -> "rgba(r, g, b, alpha)"
+  function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+  }
+
+  function applyCustomTheme(theme) {
+    const style = document.body.style;
+    style.setProperty('--custom-accent', theme.accent);
+    style.setProperty('--custom-bg', theme.background);
+    style.setProperty('--custom-surface', hexToRgba(theme.surface, 0.7));
+    style.setProperty('--custom-text', theme.text);
+    style.setProperty('--custom-blur', `${theme.blur}px`);
+    activeCustomTheme = theme;
+    applyThemeClass('theme-custom');
+  }
+
+  function clearCustomThemeProperties() {
+    ['--custom-accent', '--custom-bg', '--custom-surface', '--custom-text', '--custom-blur'].forEach(
+      (name) => document.body.style.removeProperty(name)
+    );
+    activeCustomTheme = null;
+  }
+
+  // Apply the saved theme or the auto theme.  Runs on load and whenever
+  // a theme setting changes, here or in another tab, which also ends
+  // any preview from the theme editor.
+  function applySavedTheme() {
+    themeDraftPreviewing = false;
+    if (isAutoThemeOn()) {
+      applyAutoTheme();
+      return;
+    }
+    stopAutoThemeTimer();
+    const savedTheme = getSetting('theme');
+    if (savedTheme === 'custom') {
+      const name = getSetting('customTheme');
+      const theme = getCustomThemes().find((t) => t.name === name);
+      if (theme) applyCustomTheme(theme);
+      else applyThemeClass(null);
+    } else {
+      applyThemeClass(savedTheme === 'default' ? null : `theme-${savedTheme}`);
+    }
+    updateAutoThemeStatus();
+  }
+  applySavedTheme();
+  ['theme', 'customTheme', 'autoTheme', 'autoThemeMode', 'autoThemeSchedule', 'autoThemeLocation'].forEach(
+    (key) => onSettingChange(key, applySavedTheme)
+  );
+
+  // Theme button click handlers.  Selecting a specific theme disables
+  // auto theme.
+  [
+    [lightBtn, 'light'],
+    [darkBtn, 'dark'],
+    [glassBtn, 'glass'],
+  ].forEach(([button, theme]) => {
+    if (!button) return;
+    button.addEventListener('click', () => {
+      setSettings({ theme, autoTheme: false });
+      playClickSound();
+    });
+  });
+
+  // Auto theme button handler
+  if (autoBtn) {
+    autoBtn.addEventListener('click', () => {
+      setSetting('autoTheme', true);
+      playClickSound();
+    });
+  }
+
+  // Auto theme options.  Changing any of them turns auto mode on, since
+  // that is the only time they matter.
+  const autoModeRadios = document.querySelectorAll('input[name="auto-theme-mode"]');
+  const autoLightFrom = document.getElementById('auto-light-from');
+  const autoDarkFrom = document.getElementById('auto-dark-from');
+  const autoLat = document.getElementById('auto-lat');
+  const autoLon = document.getElementById('auto-lon');
+
+  function formatClock(date) {
+    return date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // Also called while the saved theme is applied on load, before the
+  // option elements above are assigned, so it looks them up itself.
+  function updateAutoThemeStatus(theme, next) {
+    const status = document.getElementById('auto-theme-status');
+    const autoScheduleFields = document.getElementById('auto-theme-schedule');
+    const autoSunFields = document.getElementById('auto-theme-sun');
+    const mode = getAutoThemeMode();
+    if (autoScheduleFields) autoScheduleFields.classList.toggle('hidden', mode !== 'schedule');
+    if (autoSunFields) autoSunFields.classList.toggle('hidden', mode !== 'sun');
+    if (autoBtn) autoBtn.classList.toggle('active', isAutoThemeOn());
+    if (!status) return;
+    let text;
+    if (!isAutoThemeOn()) {
+      text = 'Desactivado. Pulsa «Tema Auto» o elige un modo para activarlo.';
+    } else {
+      text = `Ahora: tema ${theme === 'light' ? 'claro' : 'oscuro'}`;
+      if (next) text += ` hasta las ${formatClock(next)}`;
+      if (mode === 'system') text += ' (según el sistema)';
+      if (mode === 'sun' && !getAutoLocation()) {
+        text += '. Introduce tu ubicación para usar el amanecer y el atardecer; mientras tanto se usa el horario 06:00–18:00';
+      }
+      text += '.';
+    }
+    status.textContent = text;
+  }
+
+  function saveAutoThemeOptions(mode = getAutoThemeMode()) {
+    const hasLocation = autoLat && autoLon && autoLat.value !== '' && autoLon.value !== '';
+    setSettings({
+      autoThemeMode: mode,
+      autoThemeSchedule: {
+        lightFrom: (autoLightFrom && autoLightFrom.value) || DEFAULT_AUTO_SCHEDULE.lightFrom,
+        darkFrom: (autoDarkFrom && autoDarkFrom.value) || DEFAULT_AUTO_SCHEDULE.darkFrom,
+      },
+      autoThemeLocation: hasLocation
+        ? { lat: Number(autoLat.value), lon: Number(autoLon.value) }
+        : null,
+      autoTheme: true,
+    });
+  }
+
+  function fillAutoThemeFields() {
+    autoModeRadios.forEach((radio) => {
+      radio.checked = radio.value === getAutoThemeMode();
+    });
+    const schedule = getAutoSchedule();
+    if (autoLightFrom) autoLightFrom.value = schedule.lightFrom;
+    if (autoDarkFrom) autoDarkFrom.value = schedule.darkFrom;
+    const savedLocation = getAutoLocation();
+    if (autoLat) autoLat.value = savedLocation ? savedLocation.lat : '';
+    if (autoLon) autoLon.value = savedLocation ? savedLocation.lon : '';
+  }
+
+  autoModeRadios.forEach((radio) => {
+    radio.addEventListener('change', () => {
+      saveAutoThemeOptions(radio.value);
+      playClickSound();
+    });
+  });
+  [autoLightFrom, autoDarkFrom, autoLat, autoLon].forEach((input) => {
+    if (input) input.addEventListener('change', () => saveAutoThemeOptions());
+  });
+  fillAutoThemeFields();
+  ['autoThemeMode', 'autoThemeSchedule', 'autoThemeLocation'].forEach((key) =>
+    onSettingChange(key, fillAutoThemeFields)
+  );
+
+  // Custom theme editor.  `themeDraft` holds the values in the editor;
+  // every change previews it on the whole app until another theme is
+  // chosen or the page is reloaded.
+  const themeFieldInputs = document.querySelectorAll('[data-theme-field]');
+  const customThemeName = document.getElementById('custom-theme-name');
+  const customThemeSaveBtn = document.getElementById('custom-theme-save');
+  const customThemeList = document.getElementById('custom-theme-list');
+  const customThemeExportBtn = document.getElementById('custom-theme-export');
+  const customThemeImportBtn = document.getElementById('custom-theme-import-btn');
+  const customThemeImport = document.getElementById('custom-theme-import');
+  let themeDraft = { ...(activeCustomTheme || DEFAULT_CUSTOM_THEME) };
+
+  function fillThemeEditor(theme) {
+    themeDraft = { ...theme };
+    themeFieldInputs.forEach((input) => {
+      input.value = theme[input.dataset.themeField];
+    });
+    if (customThemeName) customThemeName.value = theme.name;
+  }
+
+  // Make a saved theme the current one
+  function selectCustomTheme(theme) {
+    themeDraftPreviewing = false;
+    applyCustomTheme(theme);
+    setSettings({ theme: 'custom', customTheme: theme.name, autoTheme: false });
+  }
+
+  function renderCustomThemeList() {
+    if (!customThemeList) return;
+    customThemeList.innerHTML = '';
+    const themes = getCustomThemes();
+    if (!themes.length) {
+      customThemeList.innerHTML = '<p class="playlist-empty">Aún no has guardado ningún tema.</p>';
+      return;
+    }
+    const activeName = getSetting('theme') === 'custom' ? getSetting('customTheme') : null;
+    themes.forEach((theme) => {
+      const row = document.createElement('div');
+      row.className = 'custom-theme-row';
+      if (theme.name === activeName) row.classList.add('active');
+      const pick = document.createElement('button');
+      pick.className = 'custom-theme-pick';
+      const swatch = document.createElement('span');
+      swatch.className = 'custom-theme-swatch';
+      swatch.style.background = `linear-gradient(135deg, ${theme.background} 50%, ${theme.accent} 50%)`;
+      swatch.style.borderColor = theme.surface;
+      pick.appendChild(swatch);
+      pick.appendChild(document.createTextNode(theme.name));
+      pick.addEventListener('click', () => {
+        selectCustomTheme(theme);
+        fillThemeEditor(theme);
+        playClickSound();
+      });
+      const remove = document.createElement('button');
+      remove.className = 'music-item-action';
+      remove.setAttribute('aria-label', `Eliminar ${theme.name}`);
+      remove.textContent = '✕';
+      remove.addEventListener('click', () => {
+        if (!confirm(`¿Eliminar el tema «${theme.name}»?`)) return;
+        setCustomThemes(getCustomThemes().filter((t) => t.name !== theme.name));
+        if (theme.name === activeName) setSettings({ theme: 'default', customTheme: '' });
+        playClickSound();
+      });
+      row.appendChild(pick);
+      row.appendChild(remove);
+      customThemeList.appendChild(row);
+    });
+  }
+
+  themeFieldInputs.forEach((input) => {
+    input.addEventListener('input', () => {
+      const field = input.dataset.themeField;
+      themeDraft[field] = field === 'blur' ? Number(input.value) : input.value;
+      themeDraftPreviewing = true;
+      stopAutoThemeTimer();
+      applyCustomTheme({ ...themeDraft });
+    });
+  });
+
+  // Leaving Temas for any other section (Ajustes included) with an
+  // unsaved draft puts the active theme back and resumes auto theme.
+  // `sectionchange` only fires when the visible section changes.
+  document.addEventListener('sectionchange', (e) => {
+    if (e.detail.section === 'theme' || !themeDraftPreviewing) return;
+    applySavedTheme();
+  });
+
+  if (customThemeSaveBtn && customThemeName) {
+    customThemeSaveBtn.addEventListener('click', () => {
+      const theme = normalizeCustomTheme({ ...themeDraft, name: customThemeName.value });
+      if (!theme) {
+        showToast('Escribe un nombre para el tema.');
+        customThemeName.focus();
+        return;
+      }
+      upsertCustomThemes([theme]);
+      selectCustomTheme(theme);
+      themeDraft = { ...theme };
+      showToast(`Tema «${theme.name}» guardado`);
+      playClickSound();
+    });
+  }
+
+  // Offer `data` as a JSON file download
+  function downloadJson(data, filename) {
+    const url = URL.createObjectURL(
+      new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+    );
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Export every saved theme as a JSON file
+  if (customThemeExportBtn) {
+    customThemeExportBtn.addEventListener('click', () => {
+      const themes = getCustomThemes();
+      if (!themes.length) {
+        showToast('No hay temas guardados para exportar.');
+        return;
+      }
+      downloadJson({ type: 'hola-pwa-themes', version: 1, themes }, 'temas-hola-pwa.json');
+      playClickSound();
+    });
+  }
+
+  // Import themes from a file written by the export above.  A bare array
+  // or a single theme object is accepted too; themes with the same name
+  // are replaced.
+  if (customThemeImportBtn && customThemeImport) {
+    customThemeImportBtn.addEventListener('click', () => customThemeImport.click());
+    customThemeImport.addEventListener('change', async () => {
+      const file = customThemeImport.files[0];
+      customThemeImport.value = '';
+      if (!file) return;
+      let themes;
+      try {
+        const data = JSON.parse(await file.text());
+        const list = Array.isArray(data) ? data : Array.isArray(data.themes) ? data.themes : [data];
+        themes = list.map(normalizeCustomTheme).filter(Boolean);
+      } catch (e) {
+        themes = [];
+      }
+      if (!themes.length) {
+        showToast('El archivo no contiene temas válidos.');
+        return;
+      }
+      upsertCustomThemes(themes);
+      showToast(
+        themes.length === 1 ? `Tema «${themes[0].name}» importado` : `${themes.length} temas importados`
+      );
+    });
+  }
+
+  fillThemeEditor(themeDraft);
+  renderCustomThemeList();
+  ['customThemes', 'theme', 'customTheme'].forEach((key) =>
+    onSettingChange(key, renderCustomThemeList)
+  );
+
+  // Settings controls
+  const animationsToggle = document.getElementById('animations-toggle');
+  const soundsToggle = document.getElementById('sounds-toggle');
+  const fontSelect = document.getElementById('font-select');
+  const animationRange = document.getElementById('animation-range');
+
+  // Helper to play a short beep when interactions occur. Uses Web Audio API
+  function playClickSound() {
+    // Only play if sounds are enabled
+    if (!getSetting('sounds')) return;
+    try {
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const oscillator = ctx.createOscillator();
+      const gainNode = ctx.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(440, ctx.currentTime);
+      oscillator.connect(gainNode);
+      gainNode.connect(ctx.destination);
+      gainNode.gain.setValueAtTime(0.1, ctx.currentTime);
+      oscillator.start();
+      oscillator.stop(ctx.currentTime + 0.1);
+    } catch (e) {
+      // Fallback: do nothing if AudioContext is not supported
+    }
+  }
+
+  // Show a short message in the toast bar above the navigation.  Used to
+  // surface errors that previously only reached the console.
+  const toast = document.getElementById('toast');
+  let toastTimer = null;
+  function showToast(message, duration = 4000) {
+    if (!toast) return;
+    toast.textContent = message;
+    toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.add('hidden'), duration);
+  }
+
+  // Read `message` out to screen reader users through a polite live
+  // region.  The region is emptied first so repeating the same text is
+  // announced again.
+  const announcer = document.getElementById('announcer');
+  function announce(message) {
+    if (!announcer) return;
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = message;
+    }, 50);
+  }
+
+  // Load saved preferences and apply.  Each control only writes its
+  // setting; the subscription applies it, so changes from another tab or
+  // a restored backup take the same path.
+  //
+  // Animations follow the OS "reduce motion" preference until they are
+  // switched on or off by hand.
+  const animationsSystem = document.getElementById('animations-system');
+  const reducedMotionQuery = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+  function animationsEnabled() {
+    const preference = getSetting('animations');
+    if (preference === 'system') return !(reducedMotionQuery && reducedMotionQuery.matches);
+    return preference === 'on';
+  }
+
+  function applyAnimations() {
+    const enabled = animationsEnabled();
+    const followSystem = getSetting('animations') === 'system';
+    document.body.classList.toggle('no-animations', !enabled);
+    if (animationsToggle) {
+      animationsToggle.checked = enabled;
+      animationsToggle.disabled = followSystem;
+    }
+    if (animationsSystem) animationsSystem.checked = followSystem;
+    if (animationRange) animationRange.disabled = !enabled;
+  }
+  applyAnimations();
+  onSettingChange('animations', applyAnimations);
+  if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+    reducedMotionQuery.addEventListener('change', applyAnimations);
+  }
+  if (animationsToggle) {
+    animationsToggle.addEventListener('change', () => {
+      setSetting('animations', animationsToggle.checked ? 'on' : 'off');
+    });
+  }
+  if (animationsSystem) {
+    animationsSystem.addEventListener('change', () => {
+      // Leaving "system" keeps whatever is currently in effect
+      setSetting(
+        'animations',
+        animationsSystem.checked ? 'system' : animationsEnabled() ? 'on' : 'off'
+      );
+    });
+  }
+  if (soundsToggle) {
+    soundsToggle.checked = getSetting('sounds');
+    onSettingChange('sounds', (enabled) => {
+      soundsToggle.checked = enabled;
+    });
+    soundsToggle.addEventListener('change', () => {
+      setSetting('sounds', soundsToggle.checked);
+    });
+  }
+  if (fontSelect) {
+    const applyFontClass = (font) => {
+      // Remove all possible font classes first
+      document.body.classList.remove(
+        'font-serif',
+        'font-cursive',
+        'font-mono',
+        'font-fantasy',
+        'font-elegant'
+      );
+      if (font === 'serif') {
+        document.body.classList.add('font-serif');
+      } else if (font === 'cursive') {
+        document.body.classList.add('font-cursive');
+      } else if (font === 'mono') {
+        document.body.classList.add('font-mono');
+      } else if (font === 'fantasy') {
+        document.body.classList.add('font-fantasy');
+      } else if (font === 'elegant') {
+        document.body.classList.add('font-elegant');
+      }
+    };
+    const applyFont = (font) => {
+      fontSelect.value = font;
+      applyFontClass(font);
+    };
+    applyFont(getSetting('font'));
+    onSettingChange('font', applyFont);
+    fontSelect.addEventListener('change', () => {
+      setSetting('font', fontSelect.value);
+      playClickSound();
+    });
+  }
+
+  // Animation speed control: adjust the global animation multiplier
+  if (animationRange) {
+    const applySpeed = (speed) => {
+      animationRange.value = speed;
+      document.documentElement.style.setProperty('--anim-speed', speed);
+    };
+    applySpeed(getSetting('animSpeed'));
+    onSettingChange('animSpeed', applySpeed);
+    animationRange.addEventListener('input', () => {
+      setSetting('animSpeed', Number(animationRange.value));
+    });
+  }
+
+  // Backup and restore of every setting as a JSON file
+  const settingsExportBtn = document.getElementById('settings-export-btn');
+  const settingsImportBtn = document.getElementById('settings-import-btn');
+  const settingsImport = document.getElementById('settings-import');
+  if (settingsExportBtn) {
+    settingsExportBtn.addEventListener('click', () => {
+      downloadJson(exportSettings(), 'ajustes-hola-pwa.json');
+      playClickSound();
+    });
+  }
+  if (settingsImportBtn && settingsImport) {
+    settingsImportBtn.addEventListener('click', () => settingsImport.click());
+    settingsImport.addEventListener('change', async () => {
+      const file = settingsImport.files[0];
+      settingsImport.value = '';
+      if (!file) return;
+      try {
+        importSettings(JSON.parse(await file.text()));
+        showToast('Ajustes restaurados');
+      } catch (err) {
+        showToast(
+          err instanceof SyntaxError ? 'El archivo no es un JSON válido.' : err.message
+        );
+      }
+    });
+  }
+
+  // API instance settings: one editable list per provider that uses
+  // public instances, with a status dot reflecting the last health check
+  // or request made against each instance.
+  const instanceSettings = document.getElementById('instance-settings');
+  const instancesCheckBtn = document.getElementById('instances-check-btn');
+
+  function describeInstanceStatus(status) {
+    if (status.state === 'ok') return `${status.latency} ms`;
+    if (status.state === 'down') return status.error || 'Sin respuesta';
+    return 'Sin comprobar';
+  }
+
+  // Each provider gets a header and an add form once; only its list of
+  // instances is rebuilt on changes, so health checks finishing in the
+  // background never wipe what is being typed.
+  const instanceLists = new Map();
+
+  function buildInstanceSettings() {
+    musicProviders.forEach((provider) => {
+      if (!provider.instances) return;
+      const block = document.createElement('div');
+      block.className = 'instance-provider';
+      const header = document.createElement('div');
+      header.className = 'instance-provider-header';
+      const title = document.createElement('strong');
+      title.textContent = provider.label;
+      const resetBtn = document.createElement('button');
+      resetBtn.className = 'instance-link';
+      resetBtn.textContent = 'Restablecer';
+      resetBtn.addEventListener('click', () => {
+        setInstances(provider.id, null);
+        playClickSound();
+      });
+      header.appendChild(title);
+      header.appendChild(resetBtn);
+      block.appendChild(header);
+
+      const list = document.createElement('ul');
+      list.className = 'instance-list';
+      instanceLists.set(provider.id, list);
+      block.appendChild(list);
+
+      const addRow = document.createElement('div');
+      addRow.className = 'instance-add';
+      const input = document.createElement('input');
+      input.type = 'url';
+      input.placeholder = 'https://…';
+      const addBtn = document.createElement('button');
+      addBtn.className = 'settings-btn';
+      addBtn.textContent = 'Añadir';
+      const addInstance = () => {
+        if (!input.value.trim()) return;
+        let url;
+        try {
+          url = normalizeInstanceUrl(input.value);
+        } catch (err) {
+          showToast('URL de instancia no válida');
+          return;
+        }
+        const instances = getInstances(provider.id);
+        if (!instances.includes(url)) {
+          setInstances(provider.id, instances.concat(url));
+          checkInstance(provider.id, url);
+        }
+        input.value = '';
+        playClickSound();
+      };
+      addBtn.addEventListener('click', addInstance);
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addInstance();
+      });
+      addRow.appendChild(input);
+      addRow.appendChild(addBtn);
+      block.appendChild(addRow);
+      instanceSettings.appendChild(block);
+    });
+  }
+
+  function renderInstanceSettings() {
+    instanceLists.forEach((list, providerId) => {
+      const instances = getInstances(providerId);
+      list.innerHTML = '';
+      instances.forEach((url, index) => {
+        const status = getInstanceStatus(url);
+        const row = document.createElement('li');
+        row.className = 'instance-row';
+        const dot = document.createElement('span');
+        dot.className = `instance-dot ${status.state}`;
+        const text = document.createElement('div');
+        text.className = 'instance-text';
+        const urlSpan = document.createElement('span');
+        urlSpan.className = 'instance-url';
+        urlSpan.textContent = url.replace(/^https?:\/\//, '');
+        const info = document.createElement('span');
+        info.className = 'instance-info';
+        info.textContent = describeInstanceStatus(status);
+        text.appendChild(urlSpan);
+        text.appendChild(info);
+        row.appendChild(dot);
+        row.appendChild(text);
+        // Move up to give the instance a higher priority
+        if (index > 0) {
+          const upBtn = document.createElement('button');
+          upBtn.className = 'music-item-action';
+          upBtn.setAttribute('aria-label', 'Dar prioridad');
+          upBtn.textContent = '↑';
+          upBtn.addEventListener('click', () => {
+            const next = instances.slice();
+            next.splice(index - 1, 0, next.splice(index, 1)[0]);
+            setInstances(providerId, next);
+            playClickSound();
+          });
+          row.appendChild(upBtn);
+        }
+        if (instances.length > 1) {
+          const removeBtn = document.createElement('button');
+          removeBtn.className = 'music-item-action';
+          removeBtn.setAttribute('aria-label', 'Eliminar instancia');
+          removeBtn.textContent = '✕';
+          removeBtn.addEventListener('click', () => {
+            setInstances(providerId, instances.filter((u) => u !== url));
+            playClickSound();
+          });
+          row.appendChild(removeBtn);
+        }
+        list.appendChild(row);
+      });
+    });
+  }
+
+  if (instanceSettings) {
+    buildInstanceSettings();
+    instanceListeners.add(renderInstanceSettings);
+    renderInstanceSettings();
+    // Refresh the health of every instance whenever Ajustes is opened
+    document.addEventListener('sectionchange', (e) => {
+      if (e.detail.section === 'settings') checkAllInstances();
+    });
+  }
+  if (instancesCheckBtn) {
+    instancesCheckBtn.addEventListener('click', async () => {
+      instancesCheckBtn.disabled = true;
+      await checkAllInstances();
+      instancesCheckBtn.disabled = false;
+      playClickSound();
+    });
+  }
+
+  /*
+   * Música: búsqueda y reproducción
+   *
+   * Esta sección implementa un buscador de canciones que consulta dos
+   * APIs sin autenticación: Audius y Piped (front‑end de YouTube). Las
+   * canciones encontradas se muestran en una lista. Al hacer clic en
+   * una canción, se reproduce su audio de 30‑90 segundos en un
+   * reproductor personalizable integrado en la misma pantalla.
+   */
+  const musicQuery = document.getElementById('music-query');
+  const musicBtn = document.getElementById('music-search-btn');
+  const musicResults = document.getElementById('music-results');
+
+  // Skeleton loader for music search
+  const musicSkeleton = document.getElementById('music-skeleton');
+  /*
+   * Reproductor avanzado
+   *
+   * La interfaz consta de un mini‑player flotante y un reproductor a
+   * pantalla completa. Los dos comparten el mismo audio y estado,
+   * por lo que aquí se referencian sus elementos y se gestiona la
+   * interacción para expandir/minimizar, reproducir/pausar, avanzar,
+   * retroceder, aleatorio y repetición. Además se actualizan las
+   * barras de progreso y los tiempos.
+   */
+
+  // Mini player elements
+  const miniPlayer = document.getElementById('miniPlayer');
+  const miniExpandBtn = document.getElementById('miniExpand');
+  const miniCloseBtn = document.getElementById('miniClose');
+  const miniProgressBar = document.getElementById('miniProgressBar');
+  // Both progress bars are exposed as sliders (role="slider")
+  const progressSliders = document.querySelectorAll('.mini-progress, .full-progress .bar');
+  const miniTitle = document.getElementById('miniTitle');
+  const miniArtist = document.getElementById('miniArtist');
+  const btnShuffle = document.getElementById('btnShuffle');
+  const btnPrev = document.getElementById('btnPrev');
+  const btnPlay = document.getElementById('btnPlay');
+  const btnNext = document.getElementById('btnNext');
+  const btnRepeat = document.getElementById('btnRepeat');
+  const playIcon = document.getElementById('playIcon');
+  const pauseIcon = document.getElementById('pauseIcon');
+
+  // Full player elements
+  const fullPlayer = document.getElementById('fullPlayer');
+  const fullMinimizeBtn = document.getElementById('fullMinimize');
+  const fullCloseBtn = document.getElementById('fullClose');
+  const fullProgressBar = document.getElementById('fullProgressBar');
+  const fullCurrent = document.getElementById('fullCurrent');
+  const fullTotal = document.getElementById('fullTotal');
+  const fullTrack = document.getElementById('fullTrack');
+  const fullArtist = document.getElementById('fullArtist');
+  const fullCover = document.getElementById('fullCover');
+  const fShuffle = document.getElementById('fShuffle');
+  const fPrev = document.getElementById('fPrev');
+  const fPlay = document.getElementById('fPlay');
+  const fNext = document.getElementById('fNext');
+  const fRepeat = document.getElementById('fRepeat');
+  const fPlayIcon = document.getElementById('fPlayIcon');
+  const fPauseIcon = document.getElementById('fPauseIcon');
+
+  // Player state.  Shuffle and the repeat mode ('off', 'all' or 'one')
+  // are remembered across sessions.
+  const REPEAT_MODES = ['off', 'all', 'one'];
+  let isShuffle = getSetting('shuffle');
+  let repeatMode = getSetting('repeatMode');
+  // Shuffle bag: queue entries in the order they will play.  Everything
+  // before `shufflePos` has already played, which is what "previous"
+  // walks back through; nothing is repeated until the bag runs out.
+  let shuffleOrder = [];
+  let shufflePos = -1;
+
+  // Two audio elements ("decks"): `audio` is the one playing and the
+  // other preloads the next track so it can start without a gap or fade
+  // in over the current one (see "Transiciones entre canciones").  They
+  // are routed through Web Audio for the volume (see "Salida de audio"),
+  // which only hears streams requested with CORS.  A third, plain
+  // element never joins the graph: it plays streams whose servers send
+  // no CORS headers once the graph exists (see the error handler).
+  const decks = [new Audio(), new Audio()];
+  decks.forEach((deck) => {
+    deck.crossOrigin = 'anonymous';
+    deck.preload = 'auto';
+  });
+  const plainDeck = new Audio();
+  const allDecks = decks.concat(plainDeck);
+  let audio = decks[0];
+
+  // Listen for `type` on whichever deck is playing; events from the
+  // others (preloading, fading out) are ignored.
+  function onAudio(type, listener) {
+    allDecks.forEach((deck) => {
+      deck.addEventListener(type, (e) => {
+        if (deck === audio) listener(e);
+      });
+    });
+  }
+  let currentTrack = null;
+  // Play queue: its own copy of the tracks to play, independent from the
+  // search results, so new searches never disturb what is playing.
+  // Entries added with "play next"/"add to queue" carry `queued: true`.
+  let playQueue = [];
+  let queueIndex = -1;
+  // Stream URL resolved for the current track ('' until resolved), the
+  // position to resume from, and bookkeeping for overlapping loads.
+  let currentStreamUrl = '';
+  let resumePosition = 0;
+  let trackLoadId = 0;
+  let streamRetried = false;
+
+  // Helper: format seconds to mm:ss
+  function formatTime(sec) {
+    const s = Math.max(0, Math.floor(sec || 0));
+    const m = Math.floor(s / 60);
+    const r = String(s % 60).padStart(2, '0');
+    return `${m}:${r}`;
+  }
+
+  // Show mini player and hide full player
+  function showMini() {
+    miniPlayer.classList.remove('hidden');
+    fullPlayer.classList.add('hidden');
+    const nav = document.querySelector('.bottom-nav');
+    if (nav) nav.classList.remove('hidden');
+  }
+
+  // Show full player and hide mini player
+  function showFull() {
+    fullPlayer.classList.remove('hidden');
+    miniPlayer.classList.add('hidden');
+    const nav = document.querySelector('.bottom-nav');
+    if (nav) nav.classList.add('hidden');
+  }
+
+  // Toggle play/pause state and update icons
+  function togglePlay() {
+    // A restored session only has track metadata until the first play;
+    // resolve a fresh stream and continue from the saved position.
+    if (currentTrack && !currentStreamUrl) {
+      playTrack(currentTrack, { startAt: resumePosition });
+      return;
+    }
+    if (audio.paused) {
+      audio.play();
+    } else {
+      audio.pause();
+    }
+  }
+
+  // Update play/pause icons on both players
+  function updatePlayIcons() {
+    if (audio.paused) {
       // Show play icons and hide pause icons on both players
       playIcon.classList.remove('hidden');
       pauseIcon.classList.add('hidden');
@@ -376,382 +2438,3796 @@ window.addEventListener('DOMContentLoaded', () => {
       btnPlay.classList.remove('playing');
       fPlay.classList.remove('playing');
     } else {
-      // Hide play icons and show pause icons
-      playIcon.classList.add('hidden');
-      pauseIcon.classList.remove('hidden');
-      fPlayIcon.classList.add('hidden');
-      fPauseIcon.classList.remove('hidden');
-      // Apply breathing animation when playing
-      btnPlay.classList.add('playing');
-      fPlay.classList.add('playing');
+      // Hide play icons and show pause icons
+      playIcon.classList.add('hidden');
+      pauseIcon.classList.remove('hidden');
+      fPlayIcon.classList.add('hidden');
+      fPauseIcon.classList.remove('hidden');
+      // Apply breathing animation when playing
+      btnPlay.classList.add('playing');
+      fPlay.classList.add('playing');
+    }
+    const label = audio.paused ? 'Reproducir' : 'Pausar';
+    btnPlay.setAttribute('aria-label', label);
+    fPlay.setAttribute('aria-label', label);
+  }
+
+  // Update progress bars and time labels based on current time
+  function updateProgress() {
+    if (!audio.duration) return;
+    const percentage = (audio.currentTime / audio.duration) * 100;
+    miniProgressBar.style.width = `${percentage}%`;
+    fullProgressBar.style.width = `${percentage}%`;
+    fullCurrent.textContent = formatTime(audio.currentTime);
+    fullTotal.textContent = formatTime(audio.duration);
+    progressSliders.forEach((slider) => {
+      slider.setAttribute('aria-valuemax', String(Math.floor(audio.duration)));
+      slider.setAttribute('aria-valuenow', String(Math.floor(audio.currentTime)));
+      slider.setAttribute(
+        'aria-valuetext',
+        `${formatTime(audio.currentTime)} de ${formatTime(audio.duration)}`
+      );
+    });
+  }
+
+  // Show a track's title, artist and artwork on both players
+  function showTrackInfo(track) {
+    miniTitle.textContent = track.title || 'Sin título';
+    miniArtist.textContent = track.artist || '';
+    fullTrack.textContent = track.title || 'Sin título';
+    fullArtist.textContent = track.artist || '';
+    if (track.cover) {
+      fullCover.src = track.cover;
+    } else {
+      fullCover.src = 'icons/icon-512.png';
+    }
+    fullCover.alt = `Portada de ${track.title || 'la canción'}`;
+
+    updateFullPlayerBackground(track);
+    updateMediaSession(track);
+  }
+
+  function updateFullPlayerBackground(track) {
+    /*
+     * Set the full player’s background using the track’s album art.
+     * We overlay a semi‑transparent gradient to ensure text remains
+     * readable regardless of the artwork.  The overlay colour adapts
+     * to the current theme: dark themes use a dark overlay, light
+     * themes a light one, the glass theme uses a subtle frosted
+     * overlay and custom themes tint it with their background colour.
+     */
+    if (track.cover) {
+      let overlay;
+      if (activeCustomTheme) {
+        const tint = hexToRgba(activeCustomTheme.background, 0.8);
+        overlay = `linear-gradient(${tint}, ${tint})`;
+      } else if (document.body.classList.contains('theme-light')) {
+        overlay = 'linear-gradient(rgba(255,255,255,0.8), rgba(255,255,255,0.8))';
+      } else if (document.body.classList.contains('theme-glass')) {
+        overlay = 'linear-gradient(rgba(255,255,255,0.5), rgba(255,255,255,0.5))';
+      } else {
+        overlay = 'linear-gradient(rgba(0,0,0,0.75), rgba(0,0,0,0.75))';
+      }
+      fullPlayer.style.backgroundImage = `${overlay}, url('${track.cover}')`;
+    } else {
+      fullPlayer.style.backgroundImage = '';
+    }
+    applyDynamicColor(track);
+  }
+
+  document.addEventListener('themechange', () => {
+    if (currentTrack) updateFullPlayerBackground(currentTrack);
+  });
+
+  /*
+   * Color dinámico
+   *
+   * A small palette is extracted from the cover art by drawing it onto
+   * a canvas: the dominant colour becomes the full player background and
+   * the most vivid distinct colour its accent (progress bar and buttons).
+   * Colours are adjusted until text reaches 4.5:1 against the background
+   * and the accent 3:1 (WCAG AA).  Covers served without CORS headers
+   * cannot be read back from a canvas; those keep the theme overlay.
+   *
+   * The `dynamicColor` setting (default on) enables it for the player
+   * and `dynamicColorApp` (default off) also lends the accent to the rest of
+   * the app and the browser's theme-color.
+   */
+  const WHITE = [255, 255, 255];
+  const BLACK = [0, 0, 0];
+  const PALETTE_CACHE_SIZE = 100;
+  // Cover URL -> Promise<palette | null>, oldest first
+  const paletteCache = new Map();
+  const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+  const defaultThemeColor = themeColorMeta ? themeColorMeta.content : '';
+
+  function isDynamicColorOn() {
+    return getSetting('dynamicColor');
+  }
+
+  function rgbCss([r, g, b], alpha = 1) {
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+  }
+
+  function mixRgb(a, b, amount) {
+    return a.map((value, i) => value + (b[i] - value) * amount);
+  }
+
+  function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map((value) => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  }
+
+  // Step `color` towards `target` until it reaches `ratio` against
+  // `against` (bounded, mixing fully with black or white always works)
+  function ensureContrast(color, against, ratio, target) {
+    let adjusted = color;
+    for (let step = 0; step < 20 && contrastRatio(adjusted, against) < ratio; step++) {
+      adjusted = mixRgb(adjusted, target, 0.15);
+    }
+    return adjusted;
+  }
+
+  // Dominant and accent colours of a loaded image.  Pixels are grouped
+  // into 4‑bit per channel buckets; the accent favours saturated buckets
+  // that are common enough and far from the dominant colour.  Throws if
+  // the canvas is tainted by a cross‑origin image.
+  function extractColors(img) {
+    const size = 48;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas no disponible');
+    ctx.drawImage(img, 0, 0, size, size);
+    const data = ctx.getImageData(0, 0, size, size).data;
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+      const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bucket.count++;
+      bucket.r += data[i];
+      bucket.g += data[i + 1];
+      bucket.b += data[i + 2];
+      buckets.set(key, bucket);
+    }
+    const colors = Array.from(buckets.values())
+      .map((bucket) => ({
+        rgb: [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count],
+        count: bucket.count,
+      }))
+      .sort((a, b) => b.count - a.count);
+    if (!colors.length) throw new Error('Imagen vacía');
+    const dominant = colors[0].rgb;
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    const saturation = (rgb) => (Math.max(...rgb) - Math.min(...rgb)) / 255;
+    let accent = null;
+    let bestScore = 0;
+    colors.forEach(({ rgb, count }) => {
+      if (count < 3 || distance(rgb, dominant) < 60) return;
+      const score = saturation(rgb) * Math.sqrt(count);
+      if (score > bestScore) {
+        bestScore = score;
+        accent = rgb;
+      }
+    });
+    return { dominant, accent: accent || dominant };
+  }
+
+  // Turn the raw colours into readable player colours
+  function buildPlayerPalette({ dominant, accent }) {
+    const lightText = contrastRatio(dominant, WHITE) >= contrastRatio(dominant, BLACK);
+    const text = lightText ? WHITE : BLACK;
+    const background = ensureContrast(dominant, text, 4.5, lightText ? BLACK : WHITE);
+    const readableAccent = ensureContrast(accent, background, 3, text);
+    const accentText =
+      contrastRatio(readableAccent, WHITE) >= contrastRatio(readableAccent, BLACK) ? WHITE : BLACK;
+    return { background, text, accent: readableAccent, accentText };
+  }
+
+  function loadCoverPalette(url) {
+    if (paletteCache.has(url)) return paletteCache.get(url);
+    const promise = new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => {
+        try {
+          resolve(buildPlayerPalette(extractColors(img)));
+        } catch (e) {
+          resolve(null);
+        }
+      };
+      img.onerror = () => resolve(null);
+      img.src = url;
+    });
+    paletteCache.set(url, promise);
+    if (paletteCache.size > PALETTE_CACHE_SIZE) {
+      paletteCache.delete(paletteCache.keys().next().value);
+    }
+    return promise;
+  }
+
+  function setDynamicColor(palette, cover) {
+    const style = fullPlayer.style;
+    fullPlayer.classList.add('dynamic-color');
+    style.setProperty('--player-bg', rgbCss(palette.background));
+    style.setProperty('--player-text', rgbCss(palette.text));
+    style.setProperty('--player-accent', rgbCss(palette.accent));
+    style.setProperty('--player-accent-text', rgbCss(palette.accentText));
+    style.backgroundImage = `linear-gradient(${rgbCss(palette.background, 0.85)}, ${rgbCss(
+      palette.background,
+      0.95
+    )}), url('${cover}')`;
+    if (getSetting('dynamicColorApp')) {
+      document.body.style.setProperty('--secondary-color', rgbCss(palette.accent));
+      if (themeColorMeta) themeColorMeta.content = rgbCss(palette.background);
+    } else {
+      clearAppDynamicColor();
+    }
+  }
+
+  function clearAppDynamicColor() {
+    document.body.style.removeProperty('--secondary-color');
+    if (themeColorMeta) themeColorMeta.content = defaultThemeColor;
+  }
+
+  function clearDynamicColor() {
+    fullPlayer.classList.remove('dynamic-color');
+    ['--player-bg', '--player-text', '--player-accent', '--player-accent-text'].forEach((name) =>
+      fullPlayer.style.removeProperty(name)
+    );
+    clearAppDynamicColor();
+  }
+
+  // Called with the theme overlay already in place; swaps it for the
+  // cover palette once that is known.
+  function applyDynamicColor(track) {
+    if (!isDynamicColorOn() || !track || !track.cover) {
+      clearDynamicColor();
+      return;
+    }
+    const cover = track.cover;
+    loadCoverPalette(cover).then((palette) => {
+      if (!currentTrack || currentTrack.cover !== cover || !isDynamicColorOn()) return;
+      if (palette) setDynamicColor(palette, cover);
+      else clearDynamicColor();
+    });
+  }
+
+  const dynamicColorToggle = document.getElementById('dynamic-color-toggle');
+  const dynamicColorAppToggle = document.getElementById('dynamic-color-app-toggle');
+  if (dynamicColorToggle && dynamicColorAppToggle) {
+    const syncDynamicColor = () => {
+      dynamicColorToggle.checked = isDynamicColorOn();
+      dynamicColorAppToggle.checked = getSetting('dynamicColorApp');
+      dynamicColorAppToggle.disabled = !dynamicColorToggle.checked;
+      if (currentTrack) updateFullPlayerBackground(currentTrack);
+      else clearDynamicColor();
+    };
+    syncDynamicColor();
+    onSettingChange('dynamicColor', syncDynamicColor);
+    onSettingChange('dynamicColorApp', syncDynamicColor);
+    dynamicColorToggle.addEventListener('change', () => {
+      setSetting('dynamicColor', dynamicColorToggle.checked);
+    });
+    dynamicColorAppToggle.addEventListener('change', () => {
+      setSetting('dynamicColorApp', dynamicColorAppToggle.checked);
+    });
+  }
+
+  // Play a specific track.  `autoplay: false` loads it paused (used when
+  // restoring a session) and `startAt` seeks once metadata is available.
+  // `isRetry` marks the single automatic retry after a stream error.
+  // `crossfade` (seconds) fades the previous track out over the new one
+  // when the new one was preloaded.
+  async function playTrack(track, { autoplay = true, startAt = 0, isRetry = false, crossfade = 0 } = {}) {
+    const loadId = ++trackLoadId;
+    currentTrack = track;
+    currentStreamUrl = '';
+    resumePosition = startAt;
+    if (!isRetry) streamRetried = false;
+    renderQueue();
+    // Switch to the other deck if it already holds this track; otherwise
+    // stop the current audio
+    stopCrossfade();
+    const preloadedUrl = !isRetry && !startAt ? takePreloaded(track) : null;
+    const outgoing = audio;
+    if (preloadedUrl) {
+      audio = standbyDeck();
+      if (crossfade > 0 && !outgoing.paused) {
+        startCrossfade(outgoing, crossfade);
+      } else {
+        clearDeck(outgoing);
+        setDeckLevel(audio, 1);
+      }
+    } else {
+      // Every new load goes back through the graph decks
+      if (audio === plainDeck) {
+        clearDeck(plainDeck);
+        audio = decks[0];
+      }
+      audio.pause();
+      audio.src = '';
+      setDeckLevel(audio, 1);
+    }
+    updateProgress();
+    showTrackInfo(track);
+    // Saved local tracks drop their cover URL; fetch it from the library
+    if (!track.cover && getProvider(track.source).local) {
+      getProvider(track.source)
+        .metadata(track)
+        .then(({ cover }) => {
+          if (!cover || currentTrack !== track) return;
+          track.cover = cover;
+          showTrackInfo(track);
+        })
+        .catch(() => {});
+    }
+    if (!isRetry) {
+      const name = `${track.title || 'Sin título'}${track.artist ? `, de ${track.artist}` : ''}`;
+      announce(autoplay ? `Reproduciendo: ${name}` : `Canción preparada: ${name}`);
+    }
+    // Prefer a downloaded copy; otherwise ask the track's provider for a
+    // playable URL.  Some providers (e.g. Piped) hand out short‑lived
+    // URLs, so this runs on every play and resolved URLs are never saved
+    // with the session.
+    let streamUrl = preloadedUrl;
+    if (!streamUrl) {
+      try {
+        streamUrl = await resolvePlayableUrl(track);
+      } catch (err) {
+        console.error('Error al cargar el audio:', err);
+        // A newer playTrack call already replaced this track
+        if (loadId !== trackLoadId) return;
+        showToast(`No se pudo reproducir «${track.title || 'Sin título'}»: ${err.message}`);
+        showMini();
+        return;
+      }
+      // A newer playTrack call started while this one was resolving
+      if (loadId !== trackLoadId) return;
+    }
+    if (startAt > 0) {
+      audio.addEventListener(
+        'loadedmetadata',
+        () => {
+          if (loadId === trackLoadId) audio.currentTime = startAt;
+        },
+        { once: true }
+      );
+    }
+    currentStreamUrl = streamUrl;
+    // Every stream is first requested with CORS so it can go through the
+    // effects graph; the error handler falls back for servers without it
+    if (corsBlocked) {
+      corsBlocked = false;
+      renderEqualizer();
+    }
+    if (!preloadedUrl) {
+      audio.crossOrigin = 'anonymous';
+      audio.src = streamUrl;
+    }
+
+    // Play the track
+    if (autoplay) {
+      await audio.play().catch((e) => console.error('Reproducción fallida:', e));
+    }
+    // Show mini player
+    showMini();
+    updatePlayIcons();
+    saveSession();
+  }
+
+  // Shuffle the queue into a new bag.  The playing track (if any) goes
+  // first so that "next" never repeats it straight away.
+  function buildShuffleOrder() {
+    const current = playQueue[queueIndex];
+    const rest = playQueue.filter((t) => t !== current);
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    shuffleOrder = current ? [current].concat(rest) : rest;
+    shufflePos = current ? 0 : -1;
+  }
+
+  // With repeat-all, append a fresh bag once the current one is used up.
+  // The new bag never starts with the track that just played.
+  function extendShuffleOrder() {
+    const last = shuffleOrder[shuffleOrder.length - 1];
+    const bag = playQueue.slice();
+    for (let i = bag.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [bag[i], bag[j]] = [bag[j], bag[i]];
+    }
+    if (bag.length > 1 && bag[0] === last) {
+      bag.push(bag.shift());
+    }
+    shuffleOrder = shuffleOrder.concat(bag);
+  }
+
+  // Index in playQueue of the track after the current one, or -1 when
+  // playback should stop.  `wrap` allows starting over at the end.
+  function getNextIndex(wrap) {
+    if (!playQueue.length) return -1;
+    if (isShuffle) {
+      if (shufflePos + 1 >= shuffleOrder.length) {
+        if (!wrap) return -1;
+        extendShuffleOrder();
+      }
+      return playQueue.indexOf(shuffleOrder[shufflePos + 1]);
+    }
+    if (queueIndex + 1 < playQueue.length) return queueIndex + 1;
+    return wrap ? 0 : -1;
+  }
+
+  // Reached the end of the queue with repeat off: stop on the first
+  // frame of the last track instead of wrapping around.
+  function stopAtEnd() {
+    audio.pause();
+    audio.currentTime = 0;
+    updateProgress();
+  }
+
+  // Play next track.  `auto` is true when the current track finished on
+  // its own; a manual skip with repeat-one behaves like repeat-all.
+  function playNext(auto = false, { crossfade = 0 } = {}) {
+    const wrap = repeatMode === 'all' || (!auto && repeatMode === 'one');
+    const next = getNextIndex(wrap);
+    if (next < 0) {
+      if (playQueue.length) stopAtEnd();
+      return;
+    }
+    if (isShuffle) shufflePos += 1;
+    queueIndex = next;
+    playTrack(playQueue[queueIndex], { crossfade });
+  }
+
+  // Play previous track.  Like most players, "previous" restarts the
+  // current song when more than a few seconds have played.
+  function playPrev() {
+    if (!playQueue.length) return;
+    if (audio.currentTime > 3) {
+      audio.currentTime = 0;
+      return;
+    }
+    let prev = -1;
+    if (isShuffle) {
+      if (shufflePos > 0) {
+        shufflePos -= 1;
+        prev = playQueue.indexOf(shuffleOrder[shufflePos]);
+      }
+    } else if (queueIndex > 0) {
+      prev = queueIndex - 1;
+    } else if (repeatMode === 'all') {
+      prev = playQueue.length - 1;
+    }
+    if (prev < 0) {
+      audio.currentTime = 0;
+      return;
+    }
+    queueIndex = prev;
+    playTrack(playQueue[queueIndex]);
+  }
+
+  /*
+   * Cola de reproducción
+   *
+   * `setQueue()` replaces the queue with a new context (search results
+   * or a saved playlist) while keeping the tracks the user queued by
+   * hand that have not played yet; they follow the selected track.
+   * `playNextInQueue()` and `addToQueue()` insert copies of a track, so
+   * the same song can appear more than once and editing the queue never
+   * touches the source list.
+   */
+  const queuePanel = document.getElementById('queuePanel');
+  const queueList = document.getElementById('queueList');
+  const fQueueBtn = document.getElementById('fQueueBtn');
+
+  function queueEntry(track, queued) {
+    const entry = { ...track };
+    delete entry.queued;
+    if (queued) entry.queued = true;
+    return entry;
+  }
+
+  // Play an arbitrary queue entry.  In shuffle mode the entry is pulled
+  // forward in the bag so history and the remaining order stay intact.
+  function playFromQueue(index) {
+    if (index < 0 || index >= playQueue.length) return;
+    const entry = playQueue[index];
+    if (isShuffle) {
+      const pos = shuffleOrder.indexOf(entry);
+      if (pos !== shufflePos || pos < 0) {
+        if (pos >= 0) {
+          shuffleOrder.splice(pos, 1);
+          if (pos < shufflePos) shufflePos -= 1;
+        }
+        shufflePos += 1;
+        shuffleOrder.splice(shufflePos, 0, entry);
+      }
+    }
+    queueIndex = index;
+    playTrack(entry);
+  }
+
+  function setQueue(tracks, startIndex = 0) {
+    const pending = playQueue.slice(queueIndex + 1).filter((t) => t.queued);
+    playQueue = tracks.map((t) => queueEntry(t, false));
+    playQueue.splice(startIndex + 1, 0, ...pending);
+    queueIndex = startIndex;
+    if (isShuffle) buildShuffleOrder();
+    playFromQueue(startIndex);
+  }
+
+  function playNextInQueue(track) {
+    const entry = queueEntry(track, true);
+    playQueue.splice(queueIndex + 1, 0, entry);
+    if (isShuffle) shuffleOrder.splice(shufflePos + 1, 0, entry);
+    if (!currentTrack) {
+      playFromQueue(queueIndex + 1);
+    } else {
+      renderQueue();
+      showToast(`«${track.title}» sonará a continuación`);
+    }
+  }
+
+  function addToQueue(track) {
+    const entry = queueEntry(track, true);
+    playQueue.push(entry);
+    if (isShuffle) {
+      // Drop it somewhere among the tracks that have not played yet
+      const pos =
+        shufflePos + 1 + Math.floor(Math.random() * (shuffleOrder.length - shufflePos));
+      shuffleOrder.splice(pos, 0, entry);
+    }
+    if (!currentTrack) {
+      playFromQueue(playQueue.length - 1);
+    } else {
+      renderQueue();
+      showToast(`«${track.title}» añadida a la cola`);
+    }
+  }
+
+  function removeFromQueue(index) {
+    const [removed] = playQueue.splice(index, 1);
+    const pos = shuffleOrder.indexOf(removed);
+    if (pos >= 0) {
+      shuffleOrder.splice(pos, 1);
+      if (pos <= shufflePos) shufflePos -= 1;
+    }
+    // Keep queueIndex pointing at the playing track; removing the current
+    // one lets it finish and continues with the track that followed it.
+    if (index <= queueIndex) queueIndex -= 1;
+    renderQueue();
+  }
+
+  function moveInQueue(from, to) {
+    if (from === to || to < 0 || to >= playQueue.length) {
+      renderQueue();
+      return;
+    }
+    const [moved] = playQueue.splice(from, 1);
+    playQueue.splice(to, 0, moved);
+    if (from === queueIndex) {
+      queueIndex = to;
+    } else if (from < queueIndex && to >= queueIndex) {
+      queueIndex -= 1;
+    } else if (from > queueIndex && to <= queueIndex) {
+      queueIndex += 1;
+    }
+    renderQueue();
+  }
+
+  // Drag a queue row by its handle.  The row is moved in the DOM while
+  // the pointer moves and the new position is committed on release.
+  function startQueueDrag(e, row, from) {
+    e.preventDefault();
+    const handle = e.currentTarget;
+    handle.setPointerCapture(e.pointerId);
+    row.classList.add('dragging');
+    const onMove = (ev) => {
+      const target = document.elementFromPoint(ev.clientX, ev.clientY);
+      const over = target && target.closest('.queue-row');
+      if (!over || over === row || over.parentElement !== queueList) return;
+      const rect = over.getBoundingClientRect();
+      queueList.insertBefore(row, ev.clientY < rect.top + rect.height / 2 ? over : over.nextSibling);
+    };
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.removeEventListener('pointercancel', onUp);
+      row.classList.remove('dragging');
+      moveInQueue(from, Array.from(queueList.children).indexOf(row));
+    };
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+  }
+
+  function renderQueue() {
+    if (!queueList) return;
+    queueList.innerHTML = '';
+    if (!playQueue.length) {
+      queueList.innerHTML = '<li class="queue-empty">La cola está vacía.</li>';
+      return;
+    }
+    playQueue.forEach((track, index) => {
+      const row = document.createElement('li');
+      row.className = 'queue-row';
+      if (index === queueIndex) row.classList.add('current');
+      if (index < queueIndex) row.classList.add('played');
+      const handle = document.createElement('button');
+      handle.className = 'queue-handle';
+      handle.setAttribute('aria-label', 'Mover (arrastra o usa las flechas)');
+      handle.textContent = '≡';
+      handle.addEventListener('pointerdown', (e) => startQueueDrag(e, row, index));
+      handle.addEventListener('click', (e) => e.stopPropagation());
+      handle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          const to = e.key === 'ArrowUp' ? index - 1 : index + 1;
+          moveInQueue(index, to);
+          const moved = queueList.children[to];
+          if (moved) moved.querySelector('.queue-handle').focus();
+        }
+      });
+      const info = document.createElement('div');
+      info.className = 'queue-info';
+      const title = document.createElement('div');
+      title.className = 'queue-title';
+      title.textContent = track.title || 'Sin título';
+      const artist = document.createElement('div');
+      artist.className = 'queue-artist';
+      artist.textContent = track.artist || '';
+      info.appendChild(title);
+      info.appendChild(artist);
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'music-item-action';
+      removeBtn.setAttribute('aria-label', 'Quitar de la cola');
+      removeBtn.textContent = '✕';
+      removeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeFromQueue(index);
+        playClickSound();
+      });
+      row.appendChild(handle);
+      row.appendChild(info);
+      row.appendChild(removeBtn);
+      row.addEventListener('click', () => {
+        playFromQueue(index);
+        playClickSound();
+      });
+      queueList.appendChild(row);
+    });
+  }
+
+  // Open or close one of the full player's secondary panels
+  function toggleFullPanel(button, panel) {
+    const open = panel.classList.contains('hidden');
+    fullPlayer.querySelectorAll('.full-panel').forEach((p) => p.classList.add('hidden'));
+    // Only the panel toggles are disclosures; the share button is not
+    fullPlayer.querySelectorAll('.full-extra[aria-controls]').forEach((b) => {
+      b.classList.remove('active');
+      b.setAttribute('aria-expanded', 'false');
+    });
+    if (open) {
+      panel.classList.remove('hidden');
+      button.classList.add('active');
+      button.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  if (fQueueBtn && queuePanel) {
+    fQueueBtn.addEventListener('click', () => {
+      renderQueue();
+      toggleFullPanel(fQueueBtn, queuePanel);
+      playClickSound();
+    });
+  }
+
+  // Reflect shuffle/repeat state on both players
+  function updateModeButtons() {
+    [btnShuffle, fShuffle].forEach((btn) => {
+      btn.classList.toggle('active', isShuffle);
+      btn.setAttribute('aria-pressed', String(isShuffle));
+    });
+    const repeatLabels = {
+      off: 'Repetir: desactivado',
+      all: 'Repetir: toda la cola',
+      one: 'Repetir: una canción',
+    };
+    [btnRepeat, fRepeat].forEach((btn) => {
+      btn.classList.toggle('active', repeatMode !== 'off');
+      btn.classList.toggle('repeat-one', repeatMode === 'one');
+      btn.setAttribute('aria-label', repeatLabels[repeatMode]);
+    });
+  }
+
+  // Apply the shuffle setting; also runs when another tab changes it
+  function setShuffle(enabled) {
+    if (enabled === isShuffle) return;
+    isShuffle = enabled;
+    if (isShuffle) {
+      buildShuffleOrder();
+    } else {
+      shuffleOrder = [];
+      shufflePos = -1;
+    }
+    updateModeButtons();
+  }
+
+  // Toggle shuffle state
+  function toggleShuffle() {
+    setShuffle(!isShuffle);
+    setSetting('shuffle', isShuffle);
+  }
+
+  // Cycle repeat mode: off → all → one → off
+  function toggleRepeat() {
+    setSetting(
+      'repeatMode',
+      REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length]
+    );
+  }
+
+  updateModeButtons();
+  onSettingChange('shuffle', setShuffle);
+  onSettingChange('repeatMode', (mode) => {
+    repeatMode = mode;
+    updateModeButtons();
+  });
+
+  // Audio events
+  onAudio('play', updatePlayIcons);
+  onAudio('pause', updatePlayIcons);
+  onAudio('timeupdate', () => {
+    updateProgress();
+    updatePositionState();
+    prepareTransition();
+  });
+  // The track finished without a transition to the next one
+  onAudio('ended', () => {
+    if (sleepAtTrackEnd) {
+      finishSleepTimer();
+    } else if (repeatMode === 'one') {
+      // Restart same track
+      audio.currentTime = 0;
+      audio.play();
+    } else {
+      playNext(true);
+    }
+  });
+
+  // Bind controls for mini and full players
+  btnPlay.addEventListener('click', () => {
+    togglePlay();
+    playClickSound();
+  });
+  fPlay.addEventListener('click', () => {
+    togglePlay();
+    playClickSound();
+  });
+  btnPrev.addEventListener('click', () => {
+    playPrev();
+    playClickSound();
+  });
+  fPrev.addEventListener('click', () => {
+    playPrev();
+    playClickSound();
+  });
+  btnNext.addEventListener('click', () => {
+    playNext();
+    playClickSound();
+  });
+  fNext.addEventListener('click', () => {
+    playNext();
+    playClickSound();
+  });
+  btnShuffle.addEventListener('click', () => {
+    toggleShuffle();
+    playClickSound();
+  });
+  fShuffle.addEventListener('click', () => {
+    toggleShuffle();
+    playClickSound();
+  });
+  btnRepeat.addEventListener('click', () => {
+    toggleRepeat();
+    playClickSound();
+  });
+  fRepeat.addEventListener('click', () => {
+    toggleRepeat();
+    playClickSound();
+  });
+
+  // Close completely: stop audio, hide players and forget the saved
+  // session so the player does not come back on the next launch.
+  function closePlayer() {
+    audio.pause();
+    audio.currentTime = 0;
+    miniPlayer.classList.add('hidden');
+    fullPlayer.classList.add('hidden');
+    const nav = document.querySelector('.bottom-nav');
+    if (nav) nav.classList.remove('hidden');
+    currentTrack = null;
+    discardPreload();
+    cancelSleepTimer();
+    clearDynamicColor();
+    clearSession();
+  }
+
+  // Expand/collapse and close actions
+  miniExpandBtn.addEventListener('click', () => {
+    showFull();
+    playClickSound();
+  });
+  fullMinimizeBtn.addEventListener('click', () => {
+    showMini();
+    playClickSound();
+  });
+  miniCloseBtn.addEventListener('click', () => {
+    closePlayer();
+    playClickSound();
+  });
+  fullCloseBtn.addEventListener('click', () => {
+    closePlayer();
+    playClickSound();
+  });
+
+  // Seek to an absolute position (seconds), clamped to the track length
+  function seekTo(seconds) {
+    if (!audio.duration) return;
+    audio.currentTime = Math.max(0, Math.min(audio.duration, seconds));
+    updateProgress();
+  }
+
+  // Keyboard seeking on the progress sliders: arrows move 5 s, Page
+  // Up/Down 30 s, Home/End jump to the start or the end.
+  const SEEK_STEP = 5;
+  const SEEK_PAGE = 30;
+  progressSliders.forEach((slider) => {
+    slider.addEventListener('keydown', (e) => {
+      const offsets = {
+        ArrowRight: SEEK_STEP,
+        ArrowUp: SEEK_STEP,
+        ArrowLeft: -SEEK_STEP,
+        ArrowDown: -SEEK_STEP,
+        PageUp: SEEK_PAGE,
+        PageDown: -SEEK_PAGE,
+      };
+      let target;
+      if (e.key in offsets) target = audio.currentTime + offsets[e.key];
+      else if (e.key === 'Home') target = 0;
+      else if (e.key === 'End') target = audio.duration;
+      else return;
+      e.preventDefault();
+      seekTo(target);
+    });
+  });
+
+  /*
+   * Salida de audio
+   *
+   * Volume and mute are applied through a GainNode rather than
+   * `audio.volume`, which is read-only on iOS.  The graph (volume plus
+   * the effects below) is only built once something needs it: an element
+   * that feeds Web Audio stays there for good, and streams served
+   * without CORS headers would then play silent.  An AudioContext also
+   * needs a user gesture, so until then the element's own volume is
+   * used.  The playback rate keeps the pitch.
+   */
+  const fMute = document.getElementById('fMute');
+  const fVolumeIcon = document.getElementById('fVolumeIcon');
+  const fMutedIcon = document.getElementById('fMutedIcon');
+  const fVolume = document.getElementById('fVolume');
+  const fRate = document.getElementById('fRate');
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  let audioCtx = null;
+  let outputGain = null;
+  // Per-deck gain for crossfades, applied before the effects
+  const deckLevels = new Map(allDecks.map((deck) => [deck, 1]));
+  const deckGains = new Map();
+  // Decks whose gain is following a crossfade curve scheduled on the
+  // audio clock; their level is left alone until it ends
+  const scheduledDecks = new Set();
+  let userGestureSeen = false;
+  // Extra attenuation (0–1) on top of the volume, used by the sleep timer
+  let volumeFade = 1;
+  // The current stream had to be loaded without CORS (see the error
+  // handler), so it cannot go through the graph
+  let corsBlocked = false;
+
+  function audioGraphNeeded() {
+    return currentVolume() * volumeFade !== 1 || getSetting('crossfade') > 0 ||
+      getSetting('eqEnabled') || getSetting('normalize') || getSetting('compressor');
+  }
+
+  function ensureAudioGraph() {
+    if (audioCtx) {
+      if (audioCtx.state === 'suspended') audioCtx.resume().catch(() => {});
+      return;
+    }
+    if (!AudioContextClass || !userGestureSeen || corsBlocked || !audioGraphNeeded()) return;
+    try {
+      audioCtx = new AudioContextClass();
+      outputGain = audioCtx.createGain();
+      const inputs = decks.map((deck) => {
+        const gain = audioCtx.createGain();
+        audioCtx.createMediaElementSource(deck).connect(gain);
+        deckGains.set(deck, gain);
+        return gain;
+      });
+      createEffects(inputs);
+      outputGain.connect(audioCtx.destination);
+    } catch (err) {
+      console.error('No se pudo preparar la salida de audio:', err);
+      audioCtx = null;
+      outputGain = null;
+      deckGains.clear();
+      return;
+    }
+    applyVolume();
+    applyEffects();
+  }
+  ['pointerdown', 'touchend', 'keydown'].forEach((type) => {
+    document.addEventListener(
+      type,
+      () => {
+        userGestureSeen = true;
+        ensureAudioGraph();
+      },
+      { capture: true, passive: true }
+    );
+  });
+
+  function currentVolume() {
+    return getSetting('muted') ? 0 : getSetting('volume');
+  }
+
+  function applyVolume() {
+    const level = currentVolume() * volumeFade;
+    if (level !== 1) ensureAudioGraph();
+    if (outputGain) {
+      // A short ramp avoids clicks while dragging the slider
+      outputGain.gain.setTargetAtTime(level, audioCtx.currentTime, 0.015);
+    }
+    allDecks.forEach(applyDeckLevel);
+    const muted = currentVolume() === 0;
+    if (fVolume) fVolume.value = String(getSetting('volume'));
+    if (fMute) {
+      fMute.setAttribute('aria-pressed', String(getSetting('muted')));
+      fMute.setAttribute('aria-label', getSetting('muted') ? 'Activar sonido' : 'Silenciar');
+    }
+    if (fVolumeIcon) fVolumeIcon.classList.toggle('hidden', muted);
+    if (fMutedIcon) fMutedIcon.classList.toggle('hidden', !muted);
+  }
+
+  // Without the graph (or on the plain deck) the deck level is folded
+  // into the element volume
+  function applyDeckLevel(deck) {
+    const level = deckLevels.get(deck);
+    if (scheduledDecks.has(deck)) return;
+    if (outputGain && deckGains.has(deck)) {
+      deck.volume = 1;
+      deckGains.get(deck).gain.setTargetAtTime(level, audioCtx.currentTime, 0.01);
+    } else {
+      deck.volume = currentVolume() * volumeFade * level;
+    }
+  }
+
+  function setDeckLevel(deck, level) {
+    deckLevels.set(deck, level);
+    applyDeckLevel(deck);
+  }
+
+  function setVolumeFade(fade) {
+    if (fade === volumeFade) return;
+    volumeFade = fade;
+    applyVolume();
+  }
+
+  // Media loads reset `playbackRate` to `defaultPlaybackRate`, so both
+  // are set and the rate carries over to the next track.
+  function applyPlaybackRate() {
+    const rate = getSetting('playbackRate');
+    allDecks.forEach((deck) => {
+      deck.defaultPlaybackRate = rate;
+      deck.playbackRate = rate;
+      deck.preservesPitch = true;
+      deck.mozPreservesPitch = true;
+      deck.webkitPreservesPitch = true;
+    });
+    if (fRate) fRate.value = String(rate);
+  }
+
+  // Change the volume by `delta` (0–1), unmuting
+  function changeVolume(delta) {
+    const volume = Math.round(Math.max(0, Math.min(1, getSetting('volume') + delta)) * 100) / 100;
+    setSettings({ volume, muted: false });
+    showToast(`Volumen: ${Math.round(volume * 100)} %`, 1200);
+  }
+
+  applyVolume();
+  applyPlaybackRate();
+  onSettingChange('volume', applyVolume);
+  onSettingChange('muted', applyVolume);
+  onSettingChange('playbackRate', applyPlaybackRate);
+  onAudio('ratechange', () => updatePositionState());
+  if (fVolume) {
+    fVolume.addEventListener('input', () => {
+      setSettings({ volume: Number(fVolume.value), muted: false });
+    });
+  }
+  if (fMute) {
+    fMute.addEventListener('click', () => {
+      // Unmuting at zero volume would stay silent
+      if (getSetting('muted') || getSetting('volume') === 0) {
+        setSettings({ muted: false, volume: getSetting('volume') || 0.5 });
+      } else {
+        setSetting('muted', true);
+      }
+      playClickSound();
+    });
+  }
+  if (fRate) {
+    fRate.addEventListener('change', () => setSetting('playbackRate', Number(fRate.value)));
+  }
+
+  /*
+   * Ecualizador y efectos
+   *
+   * Ten biquad filters (shelves at both ends, peaking bands in between)
+   * feed an automatic gain for loudness normalization and an optional
+   * compressor.  Normalization measures the RMS level after the EQ and
+   * slowly steers it towards NORMALIZE_TARGET_DB, starting over on every
+   * track.  Presets are plain arrays of gains in dB; the user's own live
+   * in the `eqPresets` setting and are selected as `custom:<name>`.
+   */
+  const EQ_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const EQ_MAX_GAIN = 12;
+  const EQ_Q = 1.4;
+  const EQ_PRESETS = [
+    { id: 'flat', name: 'Plano', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    { id: 'bass', name: 'Refuerzo de graves', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+    { id: 'treble', name: 'Refuerzo de agudos', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+    { id: 'vocal', name: 'Voces', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+    { id: 'rock', name: 'Rock', gains: [4, 3, 2, 0, -1, -1, 1, 2, 3, 4] },
+    { id: 'electronic', name: 'Electrónica', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+    { id: 'acoustic', name: 'Acústica', gains: [3, 3, 2, 1, 1, 1, 2, 2, 2, 1] },
+    { id: 'night', name: 'Noche', gains: [-3, -2, -1, 0, 0, 0, 0, -1, -2, -3] },
+  ];
+  const CUSTOM_PRESET_PREFIX = 'custom:';
+  const NORMALIZE_TARGET_DB = -18;
+  const NORMALIZE_MAX_BOOST_DB = 6;
+  const NORMALIZE_MAX_CUT_DB = 12;
+  // Quieter blocks (silence, fades) do not count towards the level
+  const NORMALIZE_GATE_DB = -50;
+  const NORMALIZE_INTERVAL = 250;
+  let eqFilters = [];
+  let normalizeGain = null;
+  let compressor = null;
+  let loudnessAnalyser = null;
+  let loudnessSamples = null;
+  let measuredLoudness = null;
+  let normalizeTimer = null;
+
+  // Build the effect nodes between the deck gains and the output gain
+  function createEffects(inputs) {
+    eqFilters = EQ_BANDS.map((frequency, index) => {
+      const filter = audioCtx.createBiquadFilter();
+      if (index === 0) filter.type = 'lowshelf';
+      else if (index === EQ_BANDS.length - 1) filter.type = 'highshelf';
+      else {
+        filter.type = 'peaking';
+        filter.Q.value = EQ_Q;
+      }
+      filter.frequency.value = frequency;
+      return filter;
+    });
+    inputs.forEach((input) => input.connect(eqFilters[0]));
+    let node = eqFilters[0];
+    eqFilters.slice(1).forEach((filter) => {
+      node.connect(filter);
+      node = filter;
+    });
+    loudnessAnalyser = audioCtx.createAnalyser();
+    loudnessAnalyser.fftSize = 2048;
+    loudnessSamples = new Float32Array(loudnessAnalyser.fftSize);
+    node.connect(loudnessAnalyser);
+    normalizeGain = audioCtx.createGain();
+    node.connect(normalizeGain);
+    compressor = audioCtx.createDynamicsCompressor();
+    compressor.threshold.value = -24;
+    compressor.knee.value = 30;
+    compressor.ratio.value = 4;
+    compressor.attack.value = 0.003;
+    compressor.release.value = 0.25;
+  }
+
+  function eqGains() {
+    const saved = getSetting('eqGains');
+    return EQ_BANDS.map((_, i) => Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, Number(saved[i]) || 0)));
+  }
+
+  function applyEffects() {
+    if (!audioCtx) return;
+    // Off means flat filters, which pass the signal unchanged
+    const gains = getSetting('eqEnabled') ? eqGains() : EQ_BANDS.map(() => 0);
+    eqFilters.forEach((filter, i) => filter.gain.setTargetAtTime(gains[i], audioCtx.currentTime, 0.02));
+    // The compressor is bypassed rather than left at a neutral setting
+    normalizeGain.disconnect();
+    compressor.disconnect();
+    if (getSetting('compressor')) {
+      normalizeGain.connect(compressor);
+      compressor.connect(outputGain);
+    } else {
+      normalizeGain.connect(outputGain);
+    }
+    clearInterval(normalizeTimer);
+    normalizeTimer = null;
+    if (getSetting('normalize')) {
+      normalizeTimer = setInterval(measureLoudness, NORMALIZE_INTERVAL);
+    } else {
+      normalizeGain.gain.setTargetAtTime(1, audioCtx.currentTime, 0.1);
+    }
+  }
+
+  function measureLoudness() {
+    if (audio.paused) return;
+    loudnessAnalyser.getFloatTimeDomainData(loudnessSamples);
+    let sum = 0;
+    for (let i = 0; i < loudnessSamples.length; i++) sum += loudnessSamples[i] * loudnessSamples[i];
+    const level = 10 * Math.log10(sum / loudnessSamples.length || 1e-12);
+    if (level < NORMALIZE_GATE_DB) return;
+    measuredLoudness = measuredLoudness === null ? level : measuredLoudness * 0.95 + level * 0.05;
+    const gainDb = Math.max(
+      -NORMALIZE_MAX_CUT_DB,
+      Math.min(NORMALIZE_MAX_BOOST_DB, NORMALIZE_TARGET_DB - measuredLoudness)
+    );
+    normalizeGain.gain.setTargetAtTime(10 ** (gainDb / 20), audioCtx.currentTime, 0.5);
+  }
+
+  // Every track is measured from scratch
+  onAudio('loadstart', () => {
+    measuredLoudness = null;
+  });
+
+  function refreshEffects() {
+    ensureAudioGraph();
+    applyEffects();
+    renderEqualizer();
+  }
+  ['eqEnabled', 'eqGains', 'normalize', 'compressor'].forEach((key) => onSettingChange(key, refreshEffects));
+
+  // Panel in the full player
+  const fEqBtn = document.getElementById('fEqBtn');
+  const eqPanel = document.getElementById('eqPanel');
+  const eqEnabledToggle = document.getElementById('eq-enabled');
+  const eqPresetSelect = document.getElementById('eq-preset');
+  const eqBands = document.getElementById('eq-bands');
+  const eqSaveBtn = document.getElementById('eq-save');
+  const eqDeleteBtn = document.getElementById('eq-delete');
+  const eqNormalizeToggle = document.getElementById('eq-normalize');
+  const eqCompressorToggle = document.getElementById('eq-compressor');
+  const eqStatus = document.getElementById('eq-status');
+
+  function formatGain(gain) {
+    return `${gain > 0 ? '+' : ''}${gain} dB`;
+  }
+
+  function bandLabel(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`;
+  }
+
+  // Gains of a built-in or saved preset, or null if it no longer exists
+  function eqPresetGains(id) {
+    if (id.startsWith(CUSTOM_PRESET_PREFIX)) {
+      const name = id.slice(CUSTOM_PRESET_PREFIX.length);
+      const preset = getSetting('eqPresets').find((p) => p && p.name === name);
+      return preset && Array.isArray(preset.gains) ? preset.gains : null;
+    }
+    const preset = EQ_PRESETS.find((p) => p.id === id);
+    return preset ? preset.gains : null;
+  }
+
+  function renderEqPresets() {
+    if (!eqPresetSelect) return;
+    eqPresetSelect.innerHTML = '';
+    const manual = new Option('Personalizado', '');
+    eqPresetSelect.appendChild(manual);
+    EQ_PRESETS.forEach((preset) => eqPresetSelect.appendChild(new Option(preset.name, preset.id)));
+    const saved = getSetting('eqPresets').filter((p) => p && typeof p.name === 'string');
+    if (saved.length) {
+      const group = document.createElement('optgroup');
+      group.label = 'Mis preajustes';
+      saved.forEach((preset) => group.appendChild(new Option(preset.name, CUSTOM_PRESET_PREFIX + preset.name)));
+      eqPresetSelect.appendChild(group);
+    }
+    renderEqualizer();
+  }
+
+  function renderEqualizer() {
+    if (!eqPanel) return;
+    const gains = eqGains();
+    const preset = getSetting('eqPreset');
+    eqEnabledToggle.checked = getSetting('eqEnabled');
+    eqPresetSelect.value = eqPresetGains(preset) ? preset : '';
+    eqDeleteBtn.disabled = !eqPresetSelect.value.startsWith(CUSTOM_PRESET_PREFIX);
+    eqBands.querySelectorAll('.eq-band').forEach((row, i) => {
+      row.querySelector('input').value = String(gains[i]);
+      row.querySelector('.eq-gain').textContent = formatGain(gains[i]);
+    });
+    eqNormalizeToggle.checked = getSetting('normalize');
+    eqCompressorToggle.checked = getSetting('compressor');
+    let status = '';
+    if (!AudioContextClass) status = 'Este navegador no permite efectos de audio.';
+    else if (corsBlocked) status = 'El servidor de esta canción no permite efectos; se reproduce sin ellos.';
+    eqStatus.textContent = status;
+    eqStatus.classList.toggle('hidden', !status);
+  }
+
+  if (fEqBtn && eqPanel) {
+    EQ_BANDS.forEach((frequency, index) => {
+      const row = document.createElement('label');
+      row.className = 'eq-band';
+      const name = document.createElement('span');
+      name.textContent = bandLabel(frequency);
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(-EQ_MAX_GAIN);
+      slider.max = String(EQ_MAX_GAIN);
+      slider.step = '1';
+      slider.setAttribute('aria-label', `Ganancia en ${bandLabel(frequency)}`);
+      const value = document.createElement('span');
+      value.className = 'eq-gain';
+      slider.addEventListener('input', () => {
+        const gains = eqGains();
+        gains[index] = Number(slider.value);
+        setSettings({ eqGains: gains, eqPreset: '', eqEnabled: true });
+      });
+      row.append(name, slider, value);
+      eqBands.appendChild(row);
+    });
+    renderEqPresets();
+    onSettingChange('eqPresets', renderEqPresets);
+    onSettingChange('eqPreset', renderEqualizer);
+
+    fEqBtn.addEventListener('click', () => {
+      renderEqualizer();
+      toggleFullPanel(fEqBtn, eqPanel);
+      playClickSound();
+    });
+    eqEnabledToggle.addEventListener('change', () => setSetting('eqEnabled', eqEnabledToggle.checked));
+    eqNormalizeToggle.addEventListener('change', () => setSetting('normalize', eqNormalizeToggle.checked));
+    eqCompressorToggle.addEventListener('change', () => setSetting('compressor', eqCompressorToggle.checked));
+    eqPresetSelect.addEventListener('change', () => {
+      const gains = eqPresetGains(eqPresetSelect.value);
+      if (!gains) return;
+      setSettings({ eqPreset: eqPresetSelect.value, eqGains: gains.slice(), eqEnabled: true });
+    });
+    eqSaveBtn.addEventListener('click', () => {
+      const name = (window.prompt('Nombre del preajuste') || '').trim();
+      if (!name) return;
+      const presets = getSetting('eqPresets').filter((p) => p && p.name !== name);
+      presets.push({ name, gains: eqGains() });
+      setSettings({ eqPresets: presets, eqPreset: CUSTOM_PRESET_PREFIX + name });
+      showToast(`Preajuste «${name}» guardado`);
+    });
+    eqDeleteBtn.addEventListener('click', () => {
+      const id = eqPresetSelect.value;
+      if (!id.startsWith(CUSTOM_PRESET_PREFIX)) return;
+      const name = id.slice(CUSTOM_PRESET_PREFIX.length);
+      setSettings({
+        eqPresets: getSetting('eqPresets').filter((p) => p && p.name !== name),
+        eqPreset: '',
+      });
+    });
+  }
+
+  /*
+   * Temporizador de apagado
+   *
+   * Stops playback after a number of minutes or at the end of the
+   * current track.  The volume fades out over the last SLEEP_FADE
+   * seconds; the timer counts wall-clock time, so it keeps running while
+   * paused, and lives here rather than in any section.
+   */
+  const SLEEP_PRESETS = [15, 30, 60];
+  const SLEEP_FADE = 15;
+  const SLEEP_TICK = 250;
+  const fSleepBtn = document.getElementById('fSleepBtn');
+  const fSleepLabel = document.getElementById('fSleepLabel');
+  const sleepPanel = document.getElementById('sleepPanel');
+  const sleepOptions = document.getElementById('sleep-options');
+  const sleepStatus = document.getElementById('sleep-status');
+  const miniSleep = document.getElementById('miniSleep');
+  const miniSleepTime = document.getElementById('miniSleepTime');
+  let sleepDeadline = 0;
+  let sleepAtTrackEnd = false;
+  let sleepTimer = null;
+
+  function sleepTimerActive() {
+    return sleepDeadline > 0 || sleepAtTrackEnd;
+  }
+
+  // Seconds left, or null while the track length is still unknown
+  function sleepRemaining() {
+    if (sleepDeadline) return Math.max(0, (sleepDeadline - Date.now()) / 1000);
+    if (!audio.duration || !Number.isFinite(audio.duration)) return null;
+    return Math.max(0, audio.duration - audio.currentTime);
+  }
+
+  // `minutes` is a number of minutes or 'track'
+  function startSleepTimer(minutes) {
+    sleepAtTrackEnd = minutes === 'track';
+    sleepDeadline = sleepAtTrackEnd ? 0 : Date.now() + minutes * 60000;
+    clearInterval(sleepTimer);
+    sleepTimer = setInterval(tickSleepTimer, SLEEP_TICK);
+    tickSleepTimer();
+    showToast(
+      sleepAtTrackEnd
+        ? 'La reproducción se detendrá al terminar la canción'
+        : `La reproducción se detendrá en ${minutes} min`
+    );
+  }
+
+  function cancelSleepTimer() {
+    clearInterval(sleepTimer);
+    sleepTimer = null;
+    sleepDeadline = 0;
+    sleepAtTrackEnd = false;
+    setVolumeFade(1);
+    renderSleepTimer();
+  }
+
+  function finishSleepTimer() {
+    audio.pause();
+    cancelSleepTimer();
+    announce('Temporizador: reproducción detenida');
+  }
+
+  function tickSleepTimer() {
+    const remaining = sleepRemaining();
+    if (sleepDeadline && remaining <= 0) {
+      finishSleepTimer();
+      return;
+    }
+    // At the end of a track the fade only applies while it plays
+    const fading = remaining !== null && remaining < SLEEP_FADE && (sleepDeadline || !audio.paused);
+    setVolumeFade(fading ? remaining / SLEEP_FADE : 1);
+    renderSleepTimer();
+  }
+
+  function renderSleepTimer() {
+    const active = sleepTimerActive();
+    const remaining = active ? sleepRemaining() : null;
+    const time = remaining === null ? '' : formatTime(Math.ceil(remaining));
+    let text = 'Sin temporizador';
+    if (sleepAtTrackEnd) text = `Se detendrá al terminar la canción${time ? ` (${time})` : ''}`;
+    else if (active) text = `Se detendrá en ${time}`;
+    if (sleepStatus) sleepStatus.textContent = text;
+    if (fSleepBtn) fSleepBtn.classList.toggle('timer-on', active);
+    if (fSleepLabel) fSleepLabel.textContent = active && time ? time : 'Temporizador';
+    if (miniSleep) {
+      miniSleep.classList.toggle('hidden', !active);
+      miniSleep.setAttribute('aria-label', `Temporizador: ${text.toLowerCase()}`);
+    }
+    if (miniSleepTime) miniSleepTime.textContent = sleepAtTrackEnd ? `♪ ${time}` : time;
+  }
+
+  if (fSleepBtn && sleepPanel && sleepOptions) {
+    const addOption = (label, value) => {
+      const button = document.createElement('button');
+      button.className = 'update-btn secondary';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        if (value === null) cancelSleepTimer();
+        else startSleepTimer(value);
+        playClickSound();
+      });
+      sleepOptions.appendChild(button);
+    };
+    SLEEP_PRESETS.forEach((minutes) => addOption(`${minutes} min`, minutes));
+    addOption('Fin de la canción', 'track');
+    addOption('Desactivar', null);
+    renderSleepTimer();
+
+    fSleepBtn.addEventListener('click', () => {
+      renderSleepTimer();
+      toggleFullPanel(fSleepBtn, sleepPanel);
+      playClickSound();
+    });
+  }
+  // The countdown in the mini player opens the timer panel
+  if (miniSleep && fSleepBtn && sleepPanel) {
+    miniSleep.addEventListener('click', () => {
+      showFull();
+      if (sleepPanel.classList.contains('hidden')) toggleFullPanel(fSleepBtn, sleepPanel);
+      playClickSound();
+    });
+  }
+
+  /*
+   * Transiciones entre canciones
+   *
+   * Near the end of a track the next one in the queue is resolved and
+   * loaded into the idle deck, so moving on needs no network round trip.
+   * With a crossfade the next track starts that many seconds before the
+   * end and the decks are mixed with equal-power curves.  In gapless mode
+   * it starts just as the current one runs out, timed with a timeout
+   * because `timeupdate` only fires a few times per second.  A track
+   * that ends without either (nothing preloaded, repeat-one, the sleep
+   * timer) is handled by the deck's `ended` event.
+   */
+  const PRELOAD_AHEAD = 30;
+  const GAPLESS_WINDOW = 1;
+  // Media elements take a moment to start; begin slightly early
+  const GAPLESS_LEAD = 0.04;
+  const CROSSFADE_TICK = 50;
+  const CROSSFADE_CURVE_POINTS = 64;
+  const crossfadeRange = document.getElementById('crossfade-range');
+  const crossfadeValue = document.getElementById('crossfade-value');
+  const gaplessToggle = document.getElementById('gapless-toggle');
+  // { track, deck, url } once the next track is loaded in the idle deck
+  let preloaded = null;
+  let preloadingTrack = null;
+  let activeCrossfade = null;
+  let gaplessTimer = null;
+
+  function standbyDeck() {
+    return audio === decks[0] ? decks[1] : decks[0];
+  }
+
+  function clearDeck(deck) {
+    deck.pause();
+    deck.removeAttribute('src');
+    deck.load();
+  }
+
+  // Queue index of the track that follows on its own, or -1
+  function upcomingIndex() {
+    if (repeatMode === 'one' || sleepAtTrackEnd) return -1;
+    return getNextIndex(repeatMode === 'all');
+  }
+
+  function discardPreload() {
+    clearTimeout(gaplessTimer);
+    gaplessTimer = null;
+    preloadingTrack = null;
+    if (preloaded && preloaded.deck !== audio) clearDeck(preloaded.deck);
+    preloaded = null;
+  }
+
+  // The preloaded stream URL if it belongs to `track` (the caller then
+  // switches to the standby deck); anything else preloaded is dropped.
+  function takePreloaded(track) {
+    if (!preloaded || preloaded.track !== track || preloaded.deck !== standbyDeck()) {
+      discardPreload();
+      return null;
+    }
+    const { url } = preloaded;
+    clearTimeout(gaplessTimer);
+    gaplessTimer = null;
+    preloaded = null;
+    preloadingTrack = null;
+    return url;
+  }
+
+  // A failed preload is not retried; the track then loads normally
+  async function preloadTrack(track) {
+    discardPreload();
+    preloadingTrack = track;
+    let url;
+    try {
+      url = await resolvePlayableUrl(track);
+    } catch (err) {
+      console.error('No se pudo preparar la siguiente canción:', err);
+      return;
+    }
+    if (preloadingTrack !== track) return;
+    const deck = standbyDeck();
+    deck.crossOrigin = 'anonymous';
+    deck.src = url;
+    preloaded = { track, deck, url };
+  }
+  decks.forEach((deck) => {
+    deck.addEventListener('error', () => {
+      if (deck !== audio && preloaded && preloaded.deck === deck) preloaded = null;
+    });
+  });
+
+  // Called on every `timeupdate` of the playing deck
+  function prepareTransition() {
+    if (activeCrossfade || audio.paused || !Number.isFinite(audio.duration) || !audio.duration) return;
+    const fadeLength = getSetting('crossfade');
+    const remaining = (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+    if (remaining > PRELOAD_AHEAD + fadeLength) return;
+    const index = upcomingIndex();
+    const next = index >= 0 ? playQueue[index] : null;
+    if (!next) {
+      if (preloaded || preloadingTrack) discardPreload();
+      return;
+    }
+    if (preloaded ? preloaded.track !== next : preloadingTrack !== next) {
+      preloadTrack(next);
+      return;
+    }
+    if (!preloaded) return;
+    if (fadeLength > 0) {
+      if (remaining <= fadeLength) playNext(true, { crossfade: remaining });
+    } else if (getSetting('gapless') && remaining <= GAPLESS_WINDOW && !gaplessTimer) {
+      gaplessTimer = setTimeout(() => {
+        gaplessTimer = null;
+        if (preloaded && preloaded.track === next && !audio.paused) playNext(true);
+      }, Math.max(0, remaining - GAPLESS_LEAD) * 1000);
+    }
+  }
+
+  // Fade `outgoing` out while the (already active) new deck fades in.
+  // Through the graph the curves run on the audio clock, which keeps
+  // them smooth in a hidden tab where timers fire once a second; the
+  // timer then only cleans up.  Otherwise the element volumes are
+  // stepped every CROSSFADE_TICK.
+  function startCrossfade(outgoing, seconds) {
+    if (audioCtx && deckGains.has(audio) && deckGains.has(outgoing)) {
+      const fadeIn = new Float32Array(CROSSFADE_CURVE_POINTS);
+      const fadeOut = new Float32Array(CROSSFADE_CURVE_POINTS);
+      for (let i = 0; i < CROSSFADE_CURVE_POINTS; i++) {
+        const progress = i / (CROSSFADE_CURVE_POINTS - 1);
+        fadeIn[i] = Math.sin((progress * Math.PI) / 2);
+        fadeOut[i] = Math.cos((progress * Math.PI) / 2);
+      }
+      const now = audioCtx.currentTime;
+      [[audio, fadeIn], [outgoing, fadeOut]].forEach(([deck, curve]) => {
+        const gain = deckGains.get(deck).gain;
+        gain.cancelScheduledValues(0);
+        gain.setValueCurveAtTime(curve, now, seconds);
+        scheduledDecks.add(deck);
+      });
+      deckLevels.set(audio, 1);
+      deckLevels.set(outgoing, 0);
+      activeCrossfade = { outgoing, timer: setTimeout(stopCrossfade, seconds * 1000) };
+      return;
+    }
+    const started = performance.now();
+    setDeckLevel(audio, 0);
+    activeCrossfade = {
+      outgoing,
+      timer: setInterval(() => {
+        const progress = Math.min(1, (performance.now() - started) / (seconds * 1000));
+        // Equal-power curves keep the loudness steady through the mix
+        setDeckLevel(audio, Math.sin((progress * Math.PI) / 2));
+        setDeckLevel(outgoing, Math.cos((progress * Math.PI) / 2));
+        if (progress >= 1) stopCrossfade();
+      }, CROSSFADE_TICK),
+    };
+  }
+
+  // Finish a crossfade straight away, silencing the outgoing deck
+  function stopCrossfade() {
+    if (!activeCrossfade) return;
+    // Covers both the interval and the clean-up timeout
+    clearInterval(activeCrossfade.timer);
+    // Drop whatever is left of the curves so the levels can be set again
+    scheduledDecks.forEach((deck) => {
+      const gain = deckGains.get(deck).gain;
+      if (gain.cancelAndHoldAtTime) gain.cancelAndHoldAtTime(audioCtx.currentTime);
+      else gain.cancelScheduledValues(0);
+    });
+    scheduledDecks.clear();
+    clearDeck(activeCrossfade.outgoing);
+    activeCrossfade = null;
+    setDeckLevel(audio, 1);
+  }
+  // Pausing mid-fade also stops the track that was fading out
+  onAudio('pause', stopCrossfade);
+
+  if (crossfadeRange && gaplessToggle) {
+    const syncTransitions = () => {
+      const seconds = getSetting('crossfade');
+      crossfadeRange.value = String(seconds);
+      if (crossfadeValue) crossfadeValue.textContent = seconds ? `${seconds} s` : 'No';
+      gaplessToggle.checked = getSetting('gapless');
+      // Tracks that overlap cannot also be joined without a gap
+      gaplessToggle.disabled = seconds > 0;
+      ensureAudioGraph();
+    };
+    syncTransitions();
+    onSettingChange('crossfade', syncTransitions);
+    onSettingChange('gapless', syncTransitions);
+    crossfadeRange.addEventListener('input', () => setSetting('crossfade', Number(crossfadeRange.value)));
+    gaplessToggle.addEventListener('change', () => setSetting('gapless', gaplessToggle.checked));
+  }
+
+  /*
+   * Letras sincronizadas
+   *
+   * The lyrics panel loads the current track's lyrics when it is open:
+   * from the IndexedDB cache first, then from the lyrics providers.  With
+   * time tags the current line is highlighted and kept in view as the
+   * track plays (unless the user scrolled the panel in the last few
+   * seconds) and tapping a line seeks to it.
+   */
+  const LYRICS_SCROLL_PAUSE = 4000;
+  const LYRICS_RETRY_DELAY = 30000;
+  const fLyricsBtn = document.getElementById('fLyricsBtn');
+  const lyricsPanel = document.getElementById('lyricsPanel');
+  const lyricsStatus = document.getElementById('lyrics-status');
+  const lyricsLines = document.getElementById('lyrics-lines');
+  const lyricsImportBtn = document.getElementById('lyrics-import-btn');
+  const lyricsImport = document.getElementById('lyrics-import');
+  const lyricsDeleteBtn = document.getElementById('lyrics-delete');
+  const lyricsRetryBtn = document.getElementById('lyrics-retry');
+  // Key of the track whose lyrics are shown, and what they contain
+  let lyricsKey = null;
+  let lyrics = null;
+  let lyricsLineIndex = -1;
+  let lyricsScrolledAt = 0;
+  // Track key and time of the last failed search; automatic retries
+  // for that track wait LYRICS_RETRY_DELAY
+  let lyricsFailure = null;
+
+  function getCachedLyrics(key) {
+    return dbRequest('lyrics', 'readonly', (store) => store.get(key));
+  }
+
+  function saveLyrics(key, text, source) {
+    return dbRequest('lyrics', 'readwrite', (store) =>
+      store.put({ key, text, source, savedAt: Date.now() })
+    );
+  }
+
+  function deleteLyrics(key) {
+    return dbRequest('lyrics', 'readwrite', (store) => store.delete(key));
+  }
+
+  // Ask each lyrics provider in turn; a failing one does not stop the
+  // rest.  Resolves with null only when every provider answered that it
+  // has nothing, and rejects when any of them could not be asked, so a
+  // network failure is not mistaken for a song without lyrics.
+  async function fetchLyrics(track) {
+    let failed = null;
+    for (const provider of lyricsProviders) {
+      if (provider.hidden) continue;
+      try {
+        const text = await provider.fetch(track);
+        if (text && text.trim()) return { text, source: provider.id };
+      } catch (err) {
+        console.error(`Error al buscar la letra (${provider.id}):`, err);
+        failed = err;
+      }
+    }
+    if (failed) throw failed;
+    return null;
+  }
+
+  function lyricsPanelOpen() {
+    return !!lyricsPanel && !lyricsPanel.classList.contains('hidden');
+  }
+
+  function setLyricsStatus(message) {
+    lyricsStatus.textContent = message;
+    lyricsStatus.classList.toggle('hidden', !message);
+  }
+
+  async function loadLyrics(track) {
+    const key = trackKey(track);
+    if (key === lyricsKey) return;
+    lyricsKey = key;
+    renderLyrics(null);
+    setLyricsStatus('Buscando la letra…');
+    let record = await getCachedLyrics(key).catch(() => null);
+    if (!record) {
+      let found;
+      try {
+        found = await fetchLyrics(track);
+      } catch (err) {
+        if (lyricsKey !== key) return;
+        // Forget the key so the search runs again (see lyricsRetryBtn)
+        lyricsKey = null;
+        lyricsFailure = { key, at: Date.now() };
+        setLyricsStatus('No se pudo buscar la letra. Comprueba la conexión.');
+        lyricsRetryBtn.classList.remove('hidden');
+        return;
+      }
+      lyricsFailure = null;
+      if (found) {
+        record = found;
+        saveLyrics(key, found.text, found.source).catch((err) =>
+          console.error('No se pudo guardar la letra:', err)
+        );
+      }
+    }
+    // The track changed while searching
+    if (lyricsKey !== key) return;
+    renderLyrics(record ? parseLrc(record.text) : null);
+  }
+
+  function renderLyrics(parsed) {
+    lyrics = parsed && parsed.lines.length ? parsed : null;
+    lyricsLineIndex = -1;
+    lyricsLines.innerHTML = '';
+    lyricsLines.classList.toggle('synced', !!(lyrics && lyrics.synced));
+    lyricsDeleteBtn.disabled = !lyrics;
+    lyricsRetryBtn.classList.add('hidden');
+    if (!lyrics) {
+      setLyricsStatus('No hay letra para esta canción. Puedes importar un archivo LRC.');
+      return;
+    }
+    setLyricsStatus(lyrics.synced ? '' : 'Letra sin sincronizar');
+    lyrics.lines.forEach((line) => {
+      const row = document.createElement(lyrics.synced ? 'button' : 'p');
+      row.className = 'lyrics-line';
+      // Instrumental gaps keep their place without an empty button
+      row.textContent = line.text || '♪';
+      if (lyrics.synced) {
+        row.addEventListener('click', () => {
+          seekTo(line.time);
+          if (audio.paused) togglePlay();
+        });
+      }
+      lyricsLines.appendChild(row);
+    });
+    syncLyrics();
+  }
+
+  // Highlight the line being sung and keep it centred
+  function syncLyrics() {
+    if (!lyrics || !lyrics.synced || !lyricsPanelOpen()) return;
+    const time = audio.currentTime;
+    let index = -1;
+    while (index + 1 < lyrics.lines.length && lyrics.lines[index + 1].time <= time) index++;
+    if (index === lyricsLineIndex) return;
+    const rows = lyricsLines.children;
+    if (rows[lyricsLineIndex]) rows[lyricsLineIndex].classList.remove('current');
+    lyricsLineIndex = index;
+    const row = rows[index];
+    if (!row) return;
+    row.classList.add('current');
+    if (Date.now() - lyricsScrolledAt > LYRICS_SCROLL_PAUSE) {
+      // Scroll the panel only; scrollIntoView would move the whole player
+      const top = row.offsetTop - lyricsPanel.offsetTop - (lyricsPanel.clientHeight - row.offsetHeight) / 2;
+      lyricsPanel.scrollTo({ top, behavior: animationsEnabled() ? 'smooth' : 'auto' });
+    }
+  }
+
+  if (fLyricsBtn && lyricsPanel) {
+    fLyricsBtn.addEventListener('click', () => {
+      toggleFullPanel(fLyricsBtn, lyricsPanel);
+      if (lyricsPanelOpen() && currentTrack) loadLyrics(currentTrack);
+      lyricsLineIndex = -1;
+      syncLyrics();
+      playClickSound();
+    });
+    onAudio('timeupdate', () => {
+      // Follow track changes while the panel is open; after a failed
+      // search, try again every LYRICS_RETRY_DELAY
+      if (
+        lyricsPanelOpen() && currentTrack && trackKey(currentTrack) !== lyricsKey &&
+        !(lyricsFailure && lyricsFailure.key === trackKey(currentTrack) &&
+          Date.now() - lyricsFailure.at < LYRICS_RETRY_DELAY)
+      ) {
+        loadLyrics(currentTrack);
+      }
+      syncLyrics();
+    });
+    onAudio('seeked', syncLyrics);
+    ['wheel', 'touchmove'].forEach((type) => {
+      lyricsPanel.addEventListener(
+        type,
+        () => {
+          lyricsScrolledAt = Date.now();
+        },
+        { passive: true }
+      );
+    });
+
+    lyricsRetryBtn.addEventListener('click', () => {
+      if (currentTrack) loadLyrics(currentTrack);
+      playClickSound();
+    });
+
+    lyricsImportBtn.addEventListener('click', () => {
+      if (!currentTrack) {
+        showToast('Reproduce una canción para importar su letra');
+        return;
+      }
+      lyricsImport.click();
+    });
+    lyricsImport.addEventListener('change', async () => {
+      const file = lyricsImport.files[0];
+      lyricsImport.value = '';
+      if (!file || !currentTrack) return;
+      const text = await file.text();
+      const parsed = parseLrc(text);
+      if (!parsed.lines.length) {
+        showToast('El archivo no contiene ninguna letra');
+        return;
+      }
+      const key = trackKey(currentTrack);
+      try {
+        await saveLyrics(key, text, 'user');
+      } catch (err) {
+        showToast(`No se pudo guardar la letra: ${err.message}`);
+        return;
+      }
+      lyricsKey = key;
+      renderLyrics(parsed);
+      showToast('Letra importada');
+    });
+    lyricsDeleteBtn.addEventListener('click', async () => {
+      if (!lyricsKey) return;
+      await deleteLyrics(lyricsKey).catch((err) => console.error('No se pudo borrar la letra:', err));
+      renderLyrics(null);
+    });
+  }
+
+  // Allow seeking by tapping on the progress bars
+  // Mini progress bar (wrapper is the parent of the bar)
+  const miniProgressWrapper = miniProgressBar ? miniProgressBar.parentElement : null;
+  if (miniProgressWrapper) {
+    miniProgressWrapper.addEventListener('click', (e) => {
+      const rect = miniProgressWrapper.getBoundingClientRect();
+      const ratio = (e.clientX - rect.left) / rect.width;
+      seekTo(ratio * audio.duration);
+    });
+  }
+  // Full progress bar wrapper
+  const fullBarWrapper = fullPlayer.querySelector('.bar');
+  if (fullBarWrapper) {
+    fullBarWrapper.addEventListener('click', (e) => {
+      const rect = fullBarWrapper.getBoundingClientRect();
+      const ratio = (e.clientX - rect.left) / rect.width;
+      seekTo(ratio * audio.duration);
+    });
+  }
+
+  /*
+   * Media Session
+   *
+   * Publishes the playing track to the OS (lock screen, notification
+   * shade, hardware media keys) and routes the system controls back to
+   * the same functions used by the on‑screen buttons.
+   */
+  const hasMediaSession = 'mediaSession' in navigator;
+
+  function updateMediaSession(track) {
+    if (!hasMediaSession || !window.MediaMetadata) return;
+    const artwork = [];
+    if (track.cover) artwork.push({ src: track.cover });
+    artwork.push(
+      { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+    );
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track.title || 'Sin título',
+      artist: track.artist || '',
+      album: (musicProviders.get(track.source) || {}).label || '',
+      artwork,
+    });
+  }
+
+  // Keep the system scrubber in sync with the audio element
+  function updatePositionState() {
+    if (!hasMediaSession || !navigator.mediaSession.setPositionState) return;
+    if (!Number.isFinite(audio.duration) || audio.duration <= 0) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate || 1,
+        position: Math.min(audio.currentTime, audio.duration),
+      });
+    } catch (e) {
+      // Some browsers reject transient states while a new track loads
+    }
+  }
+
+  if (hasMediaSession) {
+    const actions = {
+      play: () => {
+        if (audio.paused) togglePlay();
+      },
+      pause: () => {
+        if (!audio.paused) togglePlay();
+      },
+      nexttrack: () => playNext(),
+      previoustrack: () => playPrev(),
+      seekto: (details) => {
+        if (details.fastSeek && 'fastSeek' in audio) {
+          audio.fastSeek(details.seekTime);
+        } else {
+          seekTo(details.seekTime);
+        }
+        updatePositionState();
+      },
+      seekbackward: (details) => {
+        seekTo(audio.currentTime - (details.seekOffset || 10));
+        updatePositionState();
+      },
+      seekforward: (details) => {
+        seekTo(audio.currentTime + (details.seekOffset || 10));
+        updatePositionState();
+      },
+      stop: () => {
+        audio.pause();
+        audio.currentTime = 0;
+      },
+    };
+    Object.entries(actions).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (e) {
+        // Action not supported by this browser
+      }
+    });
+    onAudio('play', () => {
+      navigator.mediaSession.playbackState = 'playing';
+    });
+    onAudio('pause', () => {
+      navigator.mediaSession.playbackState = 'paused';
+    });
+  }
+  /*
+   * Sesión de reproducción
+   *
+   * The current track, queue (with its shuffle bag) and position are
+   * saved to localStorage every few seconds and whenever the page is
+   * hidden.  On the next launch the mini player comes back paused at the
+   * same spot.  Only track metadata is stored: stream URLs are resolved
+   * again through the provider on the first play, because Piped URLs
+   * expire after a few hours.
+   */
+  const SESSION_KEY = 'playerSession';
+  const RESUME_AFTER_UPDATE_KEY = 'resumeAfterUpdate';
+  const SESSION_SAVE_INTERVAL = 5000;
+  let lastSessionSave = 0;
+
+  function saveSession() {
+    if (!currentTrack) return;
+    const queue = playQueue.map((t) => {
+      const entry = serializeTrack(t);
+      if (t.queued) entry.queued = true;
+      return entry;
+    });
+    const session = {
+      version: 1,
+      track: serializeTrack(currentTrack),
+      queue,
+      queueIndex,
+      currentTime: currentStreamUrl ? audio.currentTime : resumePosition,
+      shuffleOrder: shuffleOrder.map((t) => playQueue.indexOf(t)).filter((i) => i >= 0),
+      shufflePos,
+      savedAt: Date.now(),
+    };
+    try {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      lastSessionSave = Date.now();
+    } catch (e) {
+      // Storage full or unavailable: the session simply is not kept
+    }
+  }
+
+  function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  function restoreSession() {
+    let session;
+    try {
+      session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (e) {
+      session = null;
+    }
+    if (!session || session.version !== 1 || !session.track) return;
+    if (!musicProviders.has(session.track.source)) return;
+    playQueue = (session.queue || []).filter((t) => musicProviders.has(t.source));
+    // Sessions with a missing or broken index fall back to the saved
+    // track's place in the queue, or its start
+    if (Number.isInteger(session.queueIndex) && session.queueIndex >= 0) {
+      queueIndex = Math.min(session.queueIndex, playQueue.length - 1);
+    } else {
+      const key = trackKey(session.track);
+      queueIndex = playQueue.length ? Math.max(0, playQueue.findIndex((t) => trackKey(t) === key)) : -1;
+    }
+    if (isShuffle) {
+      shuffleOrder = (session.shuffleOrder || []).map((i) => playQueue[i]).filter(Boolean);
+      shufflePos = Math.min(session.shufflePos, shuffleOrder.length - 1);
+      // Older or inconsistent sessions: start a fresh bag
+      if (shuffleOrder.length !== playQueue.length || !Number.isInteger(shufflePos)) buildShuffleOrder();
+    }
+    const track = playQueue[queueIndex] || session.track;
+    // Load paused at the saved position; if the stream cannot be
+    // resolved now (e.g. offline) the first play press retries.  After
+    // an accepted app update playback picks up where it was, if the
+    // browser's autoplay policy allows it.
+    const resume = sessionStorage.getItem(RESUME_AFTER_UPDATE_KEY) === 'on';
+    sessionStorage.removeItem(RESUME_AFTER_UPDATE_KEY);
+    playTrack(track, { autoplay: resume, startAt: session.currentTime || 0 });
+  }
+
+  onAudio('timeupdate', () => {
+    if (Date.now() - lastSessionSave > SESSION_SAVE_INTERVAL) saveSession();
+  });
+  onAudio('pause', saveSession);
+  window.addEventListener('pagehide', saveSession);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSession();
+  });
+
+  // Stream URLs can expire while a track is paused or loaded from a
+  // restored session.  On a load error, resolve the stream again once
+  // and continue from the same position.
+  onAudio('error', () => {
+    // Ignore the error raised by clearing `src` between tracks
+    if (!audio.error || !currentTrack || !currentStreamUrl) return;
+    if (audio.currentSrc !== currentStreamUrl) return;
+    const startAt = audio.currentTime || resumePosition;
+    const autoplay = !audio.paused;
+    if (!streamRetried) {
+      streamRetried = true;
+      playTrack(currentTrack, { autoplay, startAt, isRetry: true });
+      return;
+    }
+    // A fresh URL failed too.  If it is cross-origin the server may just
+    // send no CORS headers: until the effects graph exists the same deck
+    // can load it without CORS, after that it plays unprocessed on the
+    // plain deck.
+    if (audio.crossOrigin && isCrossOriginStream(currentStreamUrl)) {
+      corsBlocked = true;
+      renderEqualizer();
+      if (audioCtx) {
+        stopCrossfade();
+        clearDeck(audio);
+        audio = plainDeck;
+        setDeckLevel(audio, 1);
+      } else {
+        audio.removeAttribute('crossorigin');
+      }
+      if (startAt > 0) {
+        audio.addEventListener(
+          'loadedmetadata',
+          () => {
+            audio.currentTime = startAt;
+          },
+          { once: true }
+        );
+      }
+      audio.src = currentStreamUrl;
+      if (autoplay) audio.play().catch((e) => console.error('Reproducción fallida:', e));
+      return;
+    }
+    showToast(`No se pudo reproducir «${currentTrack.title || 'Sin título'}»`);
+  });
+
+  function isCrossOriginStream(url) {
+    if (/^(blob|data):/.test(url)) return false;
+    try {
+      return new URL(url, window.location.href).origin !== window.location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  restoreSession();
+
+  /*
+   * Actualizaciones de la aplicación
+   *
+   * When a new service worker is waiting, a banner offers to update.
+   * Accepting saves the session, asks the worker to activate and reloads
+   * once it has taken control.  If music is playing the first tap only
+   * warns that playback will pause briefly; the second one applies the
+   * update and playback resumes from the same position after reloading.
+   */
+  const updateBanner = document.getElementById('update-banner');
+  const updateMessage = document.getElementById('update-message');
+  const updateApplyBtn = document.getElementById('update-apply');
+  const updateLaterBtn = document.getElementById('update-later');
+  let waitingWorker = null;
+  let updateAccepted = false;
+
+  function applyUpdate() {
+    if (!waitingWorker) return;
+    if (!audio.paused && !updateBanner.classList.contains('confirm')) {
+      updateBanner.classList.add('confirm');
+      updateMessage.textContent =
+        'La música se pausará un momento mientras se actualiza y continuará en el mismo punto.';
+      updateApplyBtn.textContent = 'Actualizar igualmente';
+      return;
+    }
+    updateAccepted = true;
+    if (!audio.paused) sessionStorage.setItem(RESUME_AFTER_UPDATE_KEY, 'on');
+    saveSession();
+    updateApplyBtn.disabled = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  if (updateBanner) {
+    document.addEventListener('swupdate', (e) => {
+      waitingWorker = e.detail.worker;
+      updateBanner.classList.remove('hidden', 'confirm');
+      updateMessage.textContent = 'Hay una nueva versión disponible.';
+      updateApplyBtn.textContent = 'Actualizar';
+      updateApplyBtn.disabled = false;
+    });
+    updateApplyBtn.addEventListener('click', () => {
+      applyUpdate();
+      playClickSound();
+    });
+    updateLaterBtn.addEventListener('click', () => {
+      updateBanner.classList.add('hidden');
+      playClickSound();
+    });
+    if ('serviceWorker' in navigator) {
+      // Reload only for an update the user accepted, not for the first
+      // install claiming the page.
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) window.location.reload();
+      });
+    }
+  }
+
+  // Radio buttons to filter music source, generated from the registered
+  // providers so new sources show up automatically.
+  const musicFilters = document.getElementById('music-filters');
+
+  function renderSourceFilters() {
+    if (!musicFilters) return;
+    musicFilters.innerHTML = '';
+    const options = [{ id: 'all', label: 'Todos' }].concat(getVisibleProviders());
+    options.forEach((option, index) => {
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'music-source';
+      radio.value = option.id;
+      radio.checked = index === 0;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${option.label}`));
+      musicFilters.appendChild(label);
+    });
+  }
+  renderSourceFilters();
+
+  /*
+   * Búsqueda
+   *
+   * Typing searches on its own after a short pause; each new search
+   * aborts the requests of the previous one.  Every provider keeps its
+   * own cursor so "Más de …" fetches its next page, and a song already
+   * listed from another online source (same title and artist once
+   * normalised) is left out.  Submitted searches are remembered in the
+   * `searchHistory` setting and offered, together with the providers'
+   * suggestions, in the list under the search box.
+   */
+  const SEARCH_DEBOUNCE = 400;
+  const SEARCH_MIN_LENGTH = 2;
+  const SEARCH_HISTORY_SIZE = 10;
+  const SUGGESTION_LIMIT = 8;
+  const musicSuggestions = document.getElementById('music-suggestions');
+  let searchController = null;
+  let searchDebounceTimer = null;
+  // The search on screen: its query, tracks (the queue when one of them
+  // is played), identities already listed and per provider paging as
+  // { provider, next, done, loading }
+  let shownSearch = null;
+  let suggestionController = null;
+  let suggestionItems = [];
+  let activeSuggestion = -1;
+
+  // Title and artist reduced to their words, so "Artist - Song (Official
+  // Video)" by "ArtistVEVO" matches "Song" by "Artist"
+  function trackIdentity(track) {
+    const text = normalizeSearchText(`${track.artist} ${track.title}`)
+      .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+      .replace(/\b(feat|ft|official|video|audio|lyrics?|topic)\b/g, ' ')
+      .replace(/vevo\b/g, ' ');
+    const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+    return Array.from(new Set(words)).sort().join(' ');
+  }
+
+  function addSearchHistory(query) {
+    const key = normalizeSearchText(query);
+    const recent = getSetting('searchHistory').filter((entry) => normalizeSearchText(entry) !== key);
+    setSetting('searchHistory', [query, ...recent].slice(0, SEARCH_HISTORY_SIZE));
+  }
+
+  function removeSearchHistory(query) {
+    setSetting('searchHistory', getSetting('searchHistory').filter((entry) => entry !== query));
+  }
+
+  function submitSearch(query) {
+    clearTimeout(searchDebounceTimer);
+    hideSuggestions();
+    if (!query) return;
+    addSearchHistory(query);
+    navigate('music', { q: query }, { force: true });
+  }
+
+  // Search as the user types, without a history entry per keystroke
+  function scheduleLiveSearch() {
+    clearTimeout(searchDebounceTimer);
+    const query = musicQuery.value.trim();
+    if (query.length < SEARCH_MIN_LENGTH) return;
+    searchDebounceTimer = setTimeout(() => {
+      if (shownSearch && shownSearch.query === query) return;
+      history.replaceState(null, '', buildRouteHash('music', { q: query }));
+      routeQuery = query;
+      searchMusic(query);
+    }, SEARCH_DEBOUNCE);
+  }
+
+  function hideSuggestions() {
+    if (suggestionController) suggestionController.abort();
+    suggestionItems = [];
+    activeSuggestion = -1;
+    if (!musicSuggestions) return;
+    musicSuggestions.classList.add('hidden');
+    musicSuggestions.innerHTML = '';
+    musicQuery.setAttribute('aria-expanded', 'false');
+    musicQuery.removeAttribute('aria-activedescendant');
+  }
+
+  function highlightSuggestion(index) {
+    activeSuggestion = index;
+    const options = musicSuggestions.querySelectorAll('.music-suggestion');
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    if (options[index]) {
+      musicQuery.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      musicQuery.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // items: [{ text, recent }]
+  function showSuggestions(items) {
+    if (!musicSuggestions) return;
+    suggestionItems = items;
+    activeSuggestion = -1;
+    musicSuggestions.innerHTML = '';
+    musicQuery.removeAttribute('aria-activedescendant');
+    if (!items.length) {
+      hideSuggestions();
+      return;
+    }
+    items.forEach(({ text, recent }, index) => {
+      const option = document.createElement('li');
+      option.className = `music-suggestion${recent ? ' recent' : ''}`;
+      option.id = `music-suggestion-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      const label = document.createElement('span');
+      label.textContent = text;
+      option.appendChild(label);
+      option.addEventListener('click', () => {
+        musicQuery.value = text;
+        submitSearch(text);
+      });
+      if (recent) {
+        const remove = document.createElement('button');
+        remove.className = 'music-suggestion-remove';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', `Quitar «${text}» de las búsquedas recientes`);
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation();
+          removeSearchHistory(text);
+          renderSuggestions();
+          musicQuery.focus();
+        });
+        option.appendChild(remove);
+      }
+      musicSuggestions.appendChild(option);
+    });
+    if (!musicQuery.value.trim() && items.some((item) => item.recent)) {
+      const clear = document.createElement('li');
+      clear.className = 'music-suggestion-clear';
+      clear.setAttribute('role', 'presentation');
+      const button = document.createElement('button');
+      button.textContent = 'Borrar búsquedas recientes';
+      button.addEventListener('click', () => {
+        setSetting('searchHistory', []);
+        hideSuggestions();
+        musicQuery.focus();
+      });
+      clear.appendChild(button);
+      musicSuggestions.appendChild(clear);
+    }
+    musicSuggestions.classList.remove('hidden');
+    musicQuery.setAttribute('aria-expanded', 'true');
+  }
+
+  // Recent searches matching the box first, then (after the debounce)
+  // the providers' suggestions
+  function renderSuggestions() {
+    if (suggestionController) suggestionController.abort();
+    const query = musicQuery.value.trim();
+    const key = normalizeSearchText(query);
+    const recent = getSetting('searchHistory')
+      .filter((entry) => normalizeSearchText(entry).includes(key) && normalizeSearchText(entry) !== key)
+      .map((text) => ({ text, recent: true }));
+    showSuggestions(recent.slice(0, SUGGESTION_LIMIT));
+    if (query.length < SEARCH_MIN_LENGTH) return;
+    const controller = new AbortController();
+    suggestionController = controller;
+    const providers = getVisibleProviders().filter((provider) => provider.suggest);
+    setTimeout(async () => {
+      if (controller.signal.aborted) return;
+      const lists = await Promise.all(
+        providers.map((provider) =>
+          provider.suggest(query, { signal: controller.signal }).catch(() => [])
+        )
+      );
+      if (controller.signal.aborted || document.activeElement !== musicQuery) return;
+      const seen = new Set([key, ...recent.map(({ text }) => normalizeSearchText(text))]);
+      const suggested = [];
+      lists.flat().forEach((text) => {
+        const normalized = normalizeSearchText(text);
+        if (seen.has(normalized)) return;
+        seen.add(normalized);
+        suggested.push({ text, recent: false });
+      });
+      showSuggestions([...recent, ...suggested].slice(0, SUGGESTION_LIMIT));
+    }, SEARCH_DEBOUNCE);
+  }
+
+  if (musicBtn && musicQuery) {
+    musicBtn.addEventListener('click', () => submitSearch(musicQuery.value.trim()));
+    musicQuery.setAttribute('role', 'combobox');
+    musicQuery.setAttribute('aria-autocomplete', 'list');
+    musicQuery.setAttribute('aria-controls', 'music-suggestions');
+    musicQuery.setAttribute('aria-expanded', 'false');
+    musicQuery.addEventListener('input', () => {
+      renderSuggestions();
+      scheduleLiveSearch();
+    });
+    musicQuery.addEventListener('focus', renderSuggestions);
+    // Let clicks on the list land before it closes
+    musicQuery.addEventListener('blur', () => {
+      setTimeout(() => {
+        if (!musicSuggestions || !musicSuggestions.contains(document.activeElement)) hideSuggestions();
+      }, 150);
+    });
+    musicQuery.addEventListener('keydown', (e) => {
+      const count = suggestionItems.length;
+      if (e.key === 'ArrowDown' && count) {
+        e.preventDefault();
+        highlightSuggestion((activeSuggestion + 1) % count);
+      } else if (e.key === 'ArrowUp' && count) {
+        e.preventDefault();
+        highlightSuggestion(activeSuggestion <= 0 ? count - 1 : activeSuggestion - 1);
+      } else if (e.key === 'Escape' && count) {
+        e.preventDefault();
+        hideSuggestions();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (activeSuggestion >= 0) musicQuery.value = suggestionItems[activeSuggestion].text;
+        submitSearch(musicQuery.value.trim());
+      }
+    });
+  }
+
+  // Next page of one provider's results; failures are reported and
+  // leave the page to be retried
+  async function fetchSearchPage(search, page) {
+    page.loading = true;
+    try {
+      const { tracks, next } = await page.provider.search(search.query, {
+        cursor: page.next,
+        signal: search.controller.signal,
+      });
+      page.next = next;
+      page.done = next === null || next === undefined;
+      return tracks;
+    } catch (err) {
+      if (!search.controller.signal.aborted) {
+        console.error(`${page.provider.label} API error:`, err);
+        showToast(err.message);
+      }
+      // Nothing to retry when the first page failed
+      if (page.next === null) page.done = true;
+      return [];
+    } finally {
+      page.loading = false;
+    }
+  }
+
+  function appendSearchResults(search, tracks) {
+    const fresh = tracks.filter((track) => {
+      if (getProvider(track.source).local) return true;
+      const identity = trackIdentity(track);
+      const listedFrom = search.identities.get(identity);
+      if (listedFrom && listedFrom !== track.source) return false;
+      search.identities.set(identity, track.source);
+      return true;
+    });
+    const more = musicResults.querySelector('.music-more');
+    fresh.forEach((track) => {
+      const index = search.tracks.push(track) - 1;
+      // Playing a result makes the result list the queue's context
+      const item = createTrackItem(track, () => {
+        addSearchHistory(search.query);
+        setQueue(search.tracks, index);
+      });
+      item.dataset.index = index;
+      musicResults.insertBefore(item, more);
+    });
+  }
+
+  // "No results" and the "Más de …" buttons for providers with pages left
+  function renderSearchFooter(search) {
+    musicResults.querySelectorAll('.music-more, .music-empty').forEach((node) => node.remove());
+    if (!search.tracks.length) {
+      const empty = document.createElement('p');
+      empty.className = 'music-empty';
+      empty.textContent = 'No se encontraron resultados.';
+      musicResults.appendChild(empty);
+    }
+    const pending = search.pages.filter((page) => !page.done);
+    if (!pending.length) return;
+    const more = document.createElement('div');
+    more.className = 'music-more';
+    pending.forEach((page) => {
+      const button = document.createElement('button');
+      button.className = 'playlist-btn';
+      button.textContent = page.loading ? 'Cargando…' : `Más de ${page.provider.label}`;
+      button.disabled = page.loading;
+      button.addEventListener('click', async () => {
+        playClickSound();
+        const request = fetchSearchPage(search, page);
+        renderSearchFooter(search);
+        const tracks = await request;
+        if (search !== shownSearch) return;
+        appendSearchResults(search, tracks);
+        renderSearchFooter(search);
+      });
+      more.appendChild(button);
+    });
+    musicResults.appendChild(more);
+  }
+
+  // Perform a search across the selected providers
+  async function searchMusic(query) {
+    if (searchController) searchController.abort();
+    searchController = new AbortController();
+    const search = {
+      query,
+      controller: searchController,
+      tracks: [],
+      identities: new Map(),
+      pages: [],
+    };
+    // Clear previous results and show skeleton loader
+    if (musicSkeleton) {
+      musicSkeleton.classList.remove('hidden');
+    }
+    if (musicResults) {
+      // Hide results container during loading
+      musicResults.classList.add('hidden');
+      musicResults.innerHTML = '';
+    }
+    // Determine selected source filter
+    let filter = 'all';
+    document.querySelectorAll('input[name="music-source"]').forEach((radio) => {
+      if (radio.checked) filter = radio.value;
+    });
+    const providers =
+      filter === 'all' ? getVisibleProviders() : [getProvider(filter)];
+    search.pages = providers.map((provider) => ({ provider, next: null, done: false, loading: false }));
+    shownSearch = search;
+    // Query every provider in parallel; one failing source must not hide
+    // the results of the others.
+    const results = await Promise.all(search.pages.map((page) => fetchSearchPage(search, page)));
+    // A newer search replaced this one while it was loading
+    if (search !== shownSearch) return;
+    // Hide skeleton and show results
+    if (musicSkeleton) {
+      musicSkeleton.classList.add('hidden');
+    }
+    if (musicResults) {
+      musicResults.classList.remove('hidden');
+      musicResults.innerHTML = '';
+      appendSearchResults(search, results.flat());
+      renderSearchFooter(search);
+    }
+  }
+
+  // Stable identifier for a track, used to match the same song across
+  // search results, playlists and (later) downloads.
+  function trackKey(track) {
+    return `${track.source}:${track.id || track.videoId || track.title}`;
+  }
+
+  // Copy only the fields needed to play a track again later so that
+  // playlists stored in IndexedDB never hold DOM references or
+  // short‑lived stream URLs resolved at playback time.  Covers of local
+  // files are object URLs, so they are looked up again instead.
+  function serializeTrack(track) {
+    const copy = {
+      source: track.source,
+      id: track.id || '',
+      title: track.title || '',
+      artist: track.artist || '',
+      cover: getProvider(track.source).local ? '' : track.cover || '',
+    };
+    if (track.videoId) copy.videoId = track.videoId;
+    return copy;
+  }
+
+  // Build a `.music-item` row for a track.  Clicking the row calls
+  // `onPlay`; the trailing button opens the track context menu.  Extra
+  // buttons (e.g. reorder controls in a playlist) can be passed in
+  // `extraActions` as { label, icon, onClick } objects.
+  function createTrackItem(track, onPlay, extraActions = []) {
+    const item = document.createElement('div');
+    item.className = 'music-item';
+    const img = document.createElement('img');
+    img.src = track.cover || 'icons/icon-192.png';
+    img.alt = '';
+    const info = document.createElement('div');
+    info.className = 'music-info';
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'music-title';
+    titleDiv.textContent = track.title;
+    const artistDiv = document.createElement('div');
+    artistDiv.className = 'music-artist';
+    artistDiv.textContent =
+      track.artist || (musicProviders.get(track.source) || {}).label || track.source;
+    info.appendChild(titleDiv);
+    info.appendChild(artistDiv);
+    item.appendChild(img);
+    item.appendChild(info);
+    extraActions.forEach((action) => {
+      const btn = document.createElement('button');
+      btn.className = 'music-item-action';
+      btn.setAttribute('aria-label', action.label);
+      btn.textContent = action.icon;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        action.onClick();
+        playClickSound();
+      });
+      item.appendChild(btn);
+    });
+    const moreBtn = document.createElement('button');
+    moreBtn.className = 'music-item-action';
+    moreBtn.setAttribute('aria-label', 'Más opciones');
+    moreBtn.setAttribute('aria-haspopup', 'menu');
+    moreBtn.textContent = '⋯';
+    moreBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openTrackMenu(track, moreBtn);
+      playClickSound();
+    });
+    item.appendChild(moreBtn);
+    item.addEventListener('click', () => {
+      onPlay();
+      playClickSound();
+    });
+    return item;
+  }
+
+  /*
+   * Menú contextual de pista
+   *
+   * A single floating menu is shared by every track row.  Its entries
+   * come from `getTrackMenuItems()`, so new per‑track actions only need
+   * to be added to that list.
+   */
+  const trackMenu = document.getElementById('track-menu');
+
+  async function getTrackMenuItems(track) {
+    const items = [
+      { label: 'Reproducir a continuación', action: () => playNextInQueue(track) },
+      { label: 'Añadir a la cola', action: () => addToQueue(track) },
+    ];
+    let playlists = [];
+    try {
+      playlists = await getPlaylists();
+    } catch (err) {
+      console.error('No se pudieron cargar las listas:', err);
+    }
+    playlists.forEach((playlist) => {
+      items.push({
+        label: `Añadir a «${playlist.name}»`,
+        action: () =>
+          playlistTask('No se pudo añadir la canción a la lista', () => addTrackToPlaylist(playlist.id, track)),
+      });
+    });
+    let downloaded = null;
+    try {
+      downloaded = await getDownload(trackKey(track));
+    } catch (err) {
+      // Downloads unavailable (no IndexedDB); leave the entry out
+    }
+    if (downloaded) {
+      items.push({ label: 'Eliminar descarga', action: () => deleteDownload(downloaded.key) });
+    } else if ('caches' in window && !getProvider(track.source).local) {
+      items.push({ label: 'Descargar para escuchar sin conexión', action: () => downloadTrack(track) });
+    }
+    items.push({
+      label: 'Añadir a una lista nueva…',
+      action: async () => {
+        const name = (window.prompt('Nombre de la nueva lista') || '').trim();
+        if (!name) return;
+        await playlistTask('No se pudo crear la lista', async () => {
+          const id = await createPlaylist(name);
+          await addTrackToPlaylist(id, track);
+        });
+      },
+    });
+    return items;
+  }
+
+  function closeTrackMenu() {
+    if (!trackMenu) return;
+    trackMenu.classList.add('hidden');
+    trackMenu.innerHTML = '';
+  }
+
+  async function openTrackMenu(track, anchor) {
+    if (!trackMenu) return;
+    const items = await getTrackMenuItems(track);
+    trackMenu.innerHTML = '';
+    items.forEach((entry) => {
+      const btn = document.createElement('button');
+      btn.className = 'track-menu-item';
+      btn.setAttribute('role', 'menuitem');
+      btn.textContent = entry.label;
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        closeTrackMenu();
+        try {
+          await entry.action();
+        } catch (err) {
+          console.error('Acción de pista fallida:', err);
+        }
+        playClickSound();
+      });
+      trackMenu.appendChild(btn);
+    });
+    // Position the menu next to the button that opened it, keeping it
+    // inside the viewport.
+    const rect = anchor.getBoundingClientRect();
+    trackMenu.classList.remove('hidden');
+    const menuRect = trackMenu.getBoundingClientRect();
+    const top = Math.min(rect.bottom + 4, window.innerHeight - menuRect.height - 8);
+    const left = Math.max(8, Math.min(rect.right - menuRect.width, window.innerWidth - menuRect.width - 8));
+    trackMenu.style.top = `${Math.max(8, top)}px`;
+    trackMenu.style.left = `${left}px`;
+    const first = trackMenu.querySelector('.track-menu-item');
+    if (first) first.focus();
+  }
+
+  document.addEventListener('click', (e) => {
+    if (trackMenu && !trackMenu.contains(e.target)) closeTrackMenu();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeTrackMenu();
+  });
+
+  /*
+   * Listas de reproducción guardadas
+   *
+   * Playlists are stored in the `playlists` IndexedDB store as
+   * { id, name, tracks, createdAt, updatedAt }.  Tracks are kept in
+   * playlist order, so reordering is just a splice followed by a put.
+   * Playing a playlist loads a copy of its tracks into the play queue,
+   * so the regular playTrack/playNext/playPrev flow walks it exactly
+   * like a list of search results.
+   */
+  const playlistOverview = document.getElementById('playlist-overview');
+  const playlistNameInput = document.getElementById('playlist-name');
+  const playlistCreateBtn = document.getElementById('playlist-create-btn');
+  const playlistList = document.getElementById('playlist-list');
+  const playlistDetail = document.getElementById('playlist-detail');
+  const playlistDetailName = document.getElementById('playlist-detail-name');
+  const playlistTracks = document.getElementById('playlist-tracks');
+  const playlistBackBtn = document.getElementById('playlist-back');
+  const playlistPlayBtn = document.getElementById('playlist-play');
+  const playlistDeleteBtn = document.getElementById('playlist-delete');
+  // Id of the playlist shown in the detail view, or null on the overview
+  let openPlaylistId = null;
+
+  async function getPlaylists() {
+    const playlists = await dbRequest('playlists', 'readonly', (store) => store.getAll());
+    return playlists.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function getPlaylist(id) {
+    return dbRequest('playlists', 'readonly', (store) => store.get(id));
+  }
+
+  function savePlaylist(playlist) {
+    playlist.updatedAt = Date.now();
+    return dbRequest('playlists', 'readwrite', (store) => store.put(playlist));
+  }
+
+  async function createPlaylist(name) {
+    const now = Date.now();
+    const id = await dbRequest('playlists', 'readwrite', (store) =>
+      store.add({ name, tracks: [], createdAt: now, updatedAt: now })
+    );
+    await refreshLibrary();
+    return id;
+  }
+
+  async function deletePlaylist(id) {
+    await dbRequest('playlists', 'readwrite', (store) => store.delete(id));
+    await refreshLibrary();
+  }
+
+  async function addTrackToPlaylist(id, track) {
+    const playlist = await getPlaylist(id);
+    if (!playlist) return;
+    // Skip duplicates so adding the same song twice is harmless
+    const key = trackKey(track);
+    if (!playlist.tracks.some((t) => trackKey(t) === key)) {
+      playlist.tracks.push(serializeTrack(track));
+      await savePlaylist(playlist);
+    }
+    await refreshLibrary();
+  }
+
+  async function moveTrackInPlaylist(id, from, to) {
+    const playlist = await getPlaylist(id);
+    if (!playlist || to < 0 || to >= playlist.tracks.length) return;
+    const [moved] = playlist.tracks.splice(from, 1);
+    playlist.tracks.splice(to, 0, moved);
+    await savePlaylist(playlist);
+    await refreshLibrary();
+  }
+
+  // Run a playlist change from a UI handler.  IndexedDB may be missing
+  // or a transaction may fail; report it instead of leaving an unhandled
+  // rejection.
+  async function playlistTask(message, task) {
+    try {
+      await task();
+    } catch (err) {
+      console.error(`${message}:`, err);
+      showToast(message);
+    }
+  }
+
+  async function removeTrackFromPlaylist(id, index) {
+    const playlist = await getPlaylist(id);
+    if (!playlist) return;
+    playlist.tracks.splice(index, 1);
+    await savePlaylist(playlist);
+    await refreshLibrary();
+  }
+
+  // Load a saved playlist into the player and start at `startIndex`
+  function playPlaylist(playlist, startIndex = 0) {
+    if (!playlist.tracks.length) return;
+    setQueue(playlist.tracks, startIndex);
+  }
+
+  function renderPlaylistOverview(playlists) {
+    if (!playlistList) return;
+    playlistList.innerHTML = '';
+    if (!playlists.length) {
+      playlistList.innerHTML = '<p class="playlist-empty">Aún no tienes listas guardadas.</p>';
+      return;
+    }
+    playlists.forEach((playlist) => {
+      const row = document.createElement('button');
+      row.className = 'playlist-row';
+      const name = document.createElement('span');
+      name.className = 'playlist-row-name';
+      name.textContent = playlist.name;
+      const count = document.createElement('span');
+      count.className = 'playlist-row-count';
+      count.textContent = `${playlist.tracks.length} ${playlist.tracks.length === 1 ? 'canción' : 'canciones'}`;
+      row.appendChild(name);
+      row.appendChild(count);
+      row.addEventListener('click', () => {
+        openPlaylistId = playlist.id;
+        refreshLibrary();
+        playClickSound();
+      });
+      playlistList.appendChild(row);
+    });
+  }
+
+  function renderPlaylistDetail(playlist) {
+    if (!playlistTracks) return;
+    playlistDetailName.textContent = playlist.name;
+    playlistTracks.innerHTML = '';
+    if (!playlist.tracks.length) {
+      playlistTracks.innerHTML =
+        '<p class="playlist-empty">Usa el botón ⋯ de una canción para añadirla a esta lista.</p>';
+      return;
+    }
+    playlist.tracks.forEach((track, index) => {
+      const item = createTrackItem(track, () => playPlaylist(playlist, index), [
+        {
+          label: 'Subir',
+          icon: '↑',
+          onClick: () =>
+            playlistTask('No se pudo mover la canción', () => moveTrackInPlaylist(playlist.id, index, index - 1)),
+        },
+        {
+          label: 'Bajar',
+          icon: '↓',
+          onClick: () =>
+            playlistTask('No se pudo mover la canción', () => moveTrackInPlaylist(playlist.id, index, index + 1)),
+        },
+        {
+          label: 'Quitar de la lista',
+          icon: '✕',
+          onClick: () =>
+            playlistTask('No se pudo quitar la canción', () => removeTrackFromPlaylist(playlist.id, index)),
+        },
+      ]);
+      playlistTracks.appendChild(item);
+    });
+  }
+
+  // Re-render whichever library view is visible from IndexedDB
+  async function refreshLibrary() {
+    try {
+      if (openPlaylistId !== null) {
+        const playlist = await getPlaylist(openPlaylistId);
+        if (playlist) {
+          playlistOverview.classList.add('hidden');
+          playlistDetail.classList.remove('hidden');
+          renderPlaylistDetail(playlist);
+          return;
+        }
+        openPlaylistId = null;
+      }
+      playlistDetail.classList.add('hidden');
+      playlistOverview.classList.remove('hidden');
+      renderPlaylistOverview(await getPlaylists());
+    } catch (err) {
+      console.error('Error al cargar las listas:', err);
+      if (playlistList) {
+        playlistList.innerHTML = '<p class="playlist-empty">Las listas no están disponibles en este navegador.</p>';
+      }
+    }
+  }
+
+  if (playlistCreateBtn && playlistNameInput) {
+    const submitNewPlaylist = async () => {
+      const name = playlistNameInput.value.trim();
+      if (!name) return;
+      playlistNameInput.value = '';
+      await playlistTask('No se pudo crear la lista', () => createPlaylist(name));
+      playClickSound();
+    };
+    playlistCreateBtn.addEventListener('click', submitNewPlaylist);
+    playlistNameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') submitNewPlaylist();
+    });
+  }
+  if (playlistBackBtn) {
+    playlistBackBtn.addEventListener('click', () => {
+      openPlaylistId = null;
+      refreshLibrary();
+      playClickSound();
+    });
+  }
+  if (playlistPlayBtn) {
+    playlistPlayBtn.addEventListener('click', async () => {
+      await playlistTask('No se pudo cargar la lista', async () => {
+        const playlist = await getPlaylist(openPlaylistId);
+        if (playlist) playPlaylist(playlist);
+      });
+      playClickSound();
+    });
+  }
+  if (playlistDeleteBtn) {
+    playlistDeleteBtn.addEventListener('click', async () => {
+      await playlistTask('No se pudo eliminar la lista', async () => {
+        const playlist = await getPlaylist(openPlaylistId);
+        if (!playlist || !window.confirm(`¿Eliminar la lista «${playlist.name}»?`)) return;
+        openPlaylistId = null;
+        await deletePlaylist(playlist.id);
+        playClickSound();
+      });
+    });
+  }
+
+  refreshLibrary();
+
+  /*
+   * Descargas sin conexión
+   *
+   * "Descargar" resolves the track's stream, reads it fully and stores
+   * it in the offline audio cache; the `downloads` store indexes what is
+   * available.  playTrack() asks `resolvePlayableUrl()` first, so a
+   * downloaded track always plays from the local copy.  Streams must be
+   * served with CORS headers to be downloadable; failures are reported
+   * with a toast.
+   */
+  const libraryTabs = document.querySelectorAll('.library-tab');
+  const downloadsUsage = document.getElementById('downloads-usage');
+  const downloadsList = document.getElementById('downloads-list');
+  // Downloads in progress: key -> { track, received, total }
+  const activeDownloads = new Map();
+  // Blob URLs handed out for downloaded tracks.  One per deck stays
+  // alive, plus a spare for a preload that was dropped.
+  const offlineObjectUrls = [];
+  let downloadsRenderTimer = null;
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  function getDownloads() {
+    return dbRequest('downloads', 'readonly', (store) => store.getAll());
+  }
+
+  function getDownload(key) {
+    return dbRequest('downloads', 'readonly', (store) => store.get(key));
+  }
+
+  // URL of the local copy of a track, or null when it is not downloaded.
+  // Without a controlling service worker (first visit, hard reload) the
+  // cached audio is read directly and exposed as a blob URL.
+  async function getOfflineAudioUrl(track) {
+    const key = trackKey(track);
+    const record = await getDownload(key);
+    if (!record) return null;
+    const url = offlineAudioUrl(key);
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) return url;
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    const res = await cache.match(url);
+    if (!res) return null;
+    const objectUrl = URL.createObjectURL(await res.blob());
+    offlineObjectUrls.push(objectUrl);
+    if (offlineObjectUrls.length > decks.length + 1) URL.revokeObjectURL(offlineObjectUrls.shift());
+    return objectUrl;
+  }
+
+  // Playable URL for a track: the downloaded copy when there is one,
+  // otherwise whatever its provider resolves.
+  async function resolvePlayableUrl(track) {
+    const local = await getOfflineAudioUrl(track).catch(() => null);
+    if (local) return local;
+    return getProvider(track.source).resolveStream(track);
+  }
+
+  async function downloadTrack(track) {
+    const key = trackKey(track);
+    if (activeDownloads.has(key)) return;
+    if (!('caches' in window)) {
+      showToast('Este navegador no permite descargas sin conexión');
+      return;
+    }
+    activeDownloads.set(key, { track, received: 0, total: 0 });
+    renderDownloads();
+    try {
+      const streamUrl = await getProvider(track.source).resolveStream(track);
+      const res = await fetch(streamUrl);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const type = res.headers.get('Content-Type') || 'audio/mpeg';
+      const total = Number(res.headers.get('Content-Length')) || 0;
+      const chunks = [];
+      if (res.body && res.body.getReader) {
+        // Read chunk by chunk to report progress in the Downloads view
+        const reader = res.body.getReader();
+        let received = 0;
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          received += value.length;
+          activeDownloads.set(key, { track, received, total });
+          scheduleDownloadsRender();
+        }
+      } else {
+        chunks.push(new Uint8Array(await res.arrayBuffer()));
+      }
+      const blob = new Blob(chunks, { type });
+      const cache = await caches.open(AUDIO_CACHE_NAME);
+      await cache.put(
+        offlineAudioUrl(key),
+        new Response(blob, {
+          headers: { 'Content-Type': type, 'Content-Length': String(blob.size) },
+        })
+      );
+      await dbRequest('downloads', 'readwrite', (store) =>
+        store.put({ key, track: serializeTrack(track), size: blob.size, type, savedAt: Date.now() })
+      );
+      // Ask the browser not to evict downloads under storage pressure
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+      showToast(`«${track.title || 'Sin título'}» disponible sin conexión`);
+    } catch (err) {
+      console.error('Descarga fallida:', err);
+      showToast(`No se pudo descargar «${track.title || 'Sin título'}»: ${err.message}`);
+    } finally {
+      activeDownloads.delete(key);
+      renderDownloads();
+    }
+  }
+
+  // Called without awaiting from menus, so failures end here
+  async function deleteDownload(key) {
+    try {
+      if ('caches' in window) {
+        const cache = await caches.open(AUDIO_CACHE_NAME);
+        await cache.delete(offlineAudioUrl(key));
+      }
+      await dbRequest('downloads', 'readwrite', (store) => store.delete(key));
+    } catch (err) {
+      console.error('Error al eliminar la descarga:', err);
+      showToast('No se pudo eliminar la descarga');
+    }
+    renderDownloads();
+  }
+
+  // Progress events arrive per chunk; redraw at most twice a second
+  function scheduleDownloadsRender() {
+    if (downloadsRenderTimer) return;
+    downloadsRenderTimer = setTimeout(() => {
+      downloadsRenderTimer = null;
+      renderDownloads();
+    }, 500);
+  }
+
+  async function renderDownloads() {
+    if (!downloadsList) return;
+    let records = [];
+    try {
+      records = await getDownloads();
+    } catch (err) {
+      downloadsList.innerHTML = '<p class="playlist-empty">Las descargas no están disponibles en este navegador.</p>';
+      return;
+    }
+    records.sort((a, b) => b.savedAt - a.savedAt);
+    downloadsList.innerHTML = '';
+    activeDownloads.forEach(({ track, received, total }) => {
+      const row = document.createElement('div');
+      row.className = 'download-progress';
+      const percent = total ? ` ${Math.round((received / total) * 100)} %` : ` ${formatBytes(received)}`;
+      row.textContent = `Descargando «${track.title || 'Sin título'}»…${percent}`;
+      downloadsList.appendChild(row);
+    });
+    if (!records.length && !activeDownloads.size) {
+      downloadsList.innerHTML =
+        '<p class="playlist-empty">Usa el botón ⋯ de una canción para descargarla.</p>';
+    }
+    const tracks = records.map((record) => record.track);
+    records.forEach((record, index) => {
+      const item = createTrackItem(record.track, () => setQueue(tracks, index), [
+        {
+          label: 'Eliminar descarga',
+          icon: '✕',
+          onClick: () => deleteDownload(record.key),
+        },
+      ]);
+      const artist = item.querySelector('.music-artist');
+      artist.textContent = `${artist.textContent} · ${formatBytes(record.size)}`;
+      downloadsList.appendChild(item);
+    });
+    if (downloadsUsage) {
+      const used = records.reduce((sum, record) => sum + (record.size || 0), 0);
+      let text = `${records.length} ${records.length === 1 ? 'canción' : 'canciones'} · ${formatBytes(used)}`;
+      if (navigator.storage && navigator.storage.estimate) {
+        try {
+          const { usage, quota } = await navigator.storage.estimate();
+          text += ` · ${formatBytes(usage)} usados de ${formatBytes(quota)} disponibles`;
+        } catch (e) {
+          // Estimate not available; show the download total only
+        }
+      }
+      downloadsUsage.textContent = text;
+    }
+  }
+
+  // Switch between the playlists, downloads and local views of the library
+  libraryTabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      libraryTabs.forEach((other) => {
+        const selected = other === tab;
+        other.classList.toggle('active', selected);
+        other.setAttribute('aria-selected', String(selected));
+        const view = document.getElementById(other.dataset.libraryView);
+        if (view) view.classList.toggle('hidden', !selected);
+      });
+      if (tab.dataset.libraryView === 'library-downloads') renderDownloads();
+      if (tab.dataset.libraryView === 'library-local') renderLocalLibrary();
+      playClickSound();
+    });
+  });
+
+  /*
+   * Archivos locales
+   *
+   * Audio files from the device are added with the file input or, where
+   * the File System Access API exists, a whole folder at a time (older
+   * browsers get a directory input instead).  Their tags are read once
+   * and indexed in the `library` store; the "Local" provider then serves
+   * them to search and to the player like any other source.
+   */
+  const localAddFilesBtn = document.getElementById('local-add-files');
+  const localAddFolderBtn = document.getElementById('local-add-folder');
+  const localFilesInput = document.getElementById('local-files');
+  const localFolderInput = document.getElementById('local-folder');
+  const localUsage = document.getElementById('local-usage');
+  const localList = document.getElementById('local-list');
+  let localImporting = false;
+
+  // Audio files below a directory handle, with their path from it
+  async function collectDirectoryFiles(directory, path = '') {
+    const entries = [];
+    for await (const handle of directory.values()) {
+      const entryPath = `${path}${handle.name}`;
+      if (handle.kind === 'directory') {
+        entries.push(...(await collectDirectoryFiles(handle, `${entryPath}/`)));
+      } else {
+        const file = await handle.getFile();
+        if (isLocalAudioFile(file)) entries.push({ file, handle, path: entryPath });
+      }
+    }
+    return entries;
+  }
+
+  // entries: [{ file, handle?, path? }]
+  async function addLocalFiles(entries) {
+    if (localImporting) return;
+    entries = entries.filter(({ file }) => isLocalAudioFile(file));
+    if (!entries.length) {
+      showToast('No se encontraron archivos de audio');
+      return;
+    }
+    localImporting = true;
+    let added = 0;
+    try {
+      for (const [index, { file, handle, path }] of entries.entries()) {
+        if (localUsage) localUsage.textContent = `Leyendo ${index + 1} de ${entries.length}…`;
+        const tags = await readAudioTags(file);
+        const record = {
+          id: `${path || file.webkitRelativePath || file.name}:${file.size}:${file.lastModified}`,
+          title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+          artist: tags.artist || '',
+          album: tags.album || '',
+          cover: tags.picture ? new Blob([tags.picture.data], { type: tags.picture.mime }) : null,
+          name: file.name,
+          size: file.size,
+          addedAt: Date.now(),
+          // Keep the handle alone when there is one, so the file is not
+          // copied into the database
+          file: handle ? null : file,
+          handle: handle || null,
+        };
+        await saveLibraryRecord(record);
+        added++;
+      }
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+      showToast(`${added} ${added === 1 ? 'canción añadida' : 'canciones añadidas'}`);
+    } catch (err) {
+      console.error('No se pudieron añadir los archivos:', err);
+      const reason = err && err.name === 'QuotaExceededError' ? 'no queda espacio' : err.message;
+      showToast(`Se añadieron ${added} de ${entries.length} canciones: ${reason}`, 5000);
+    } finally {
+      localImporting = false;
+      renderLocalLibrary();
+    }
+  }
+
+  async function removeLocalTrack(id) {
+    try {
+      await deleteLibraryRecord(id);
+    } catch (err) {
+      console.error('No se pudo quitar la canción:', err);
+    }
+    if (localCoverUrls.has(id)) {
+      URL.revokeObjectURL(localCoverUrls.get(id));
+      localCoverUrls.delete(id);
+    }
+    renderLocalLibrary();
+  }
+
+  async function renderLocalLibrary() {
+    if (!localList || localImporting) return;
+    let records = [];
+    try {
+      records = await getLibrary();
+    } catch (err) {
+      localList.innerHTML = '<p class="playlist-empty">Los archivos locales no están disponibles en este navegador.</p>';
+      return;
+    }
+    records.sort((a, b) => a.title.localeCompare(b.title));
+    localList.innerHTML = '';
+    if (!records.length) {
+      localList.innerHTML =
+        '<p class="playlist-empty">Añade canciones guardadas en este dispositivo para escucharlas aquí.</p>';
+    }
+    const tracks = records.map(localTrackFromRecord);
+    tracks.forEach((track, index) => {
+      const item = createTrackItem(track, () => setQueue(tracks, index), [
+        {
+          label: 'Quitar de la biblioteca',
+          icon: '✕',
+          onClick: () => removeLocalTrack(track.id),
+        },
+      ]);
+      localList.appendChild(item);
+    });
+    if (localUsage) {
+      const size = records.reduce((sum, record) => sum + (record.size || 0), 0);
+      localUsage.textContent = `${records.length} ${records.length === 1 ? 'canción' : 'canciones'} · ${formatBytes(size)}`;
+    }
+  }
+
+  if (localAddFilesBtn && localFilesInput) {
+    localAddFilesBtn.addEventListener('click', () => {
+      localFilesInput.click();
+      playClickSound();
+    });
+    localFilesInput.addEventListener('change', () => {
+      addLocalFiles(Array.from(localFilesInput.files, (file) => ({ file })));
+      localFilesInput.value = '';
+    });
+  }
+
+  if (localAddFolderBtn && localFolderInput) {
+    localAddFolderBtn.addEventListener('click', async () => {
+      playClickSound();
+      if (!window.showDirectoryPicker) {
+        localFolderInput.click();
+        return;
+      }
+      let directory;
+      try {
+        directory = await window.showDirectoryPicker({ mode: 'read' });
+      } catch (e) {
+        // Picker cancelled
+        return;
+      }
+      if (localUsage) localUsage.textContent = 'Buscando archivos de audio…';
+      try {
+        await addLocalFiles(await collectDirectoryFiles(directory, `${directory.name}/`));
+      } catch (err) {
+        console.error('No se pudo leer la carpeta:', err);
+        showToast(`No se pudo leer la carpeta: ${err.message}`);
+        renderLocalLibrary();
+      }
+    });
+    localFolderInput.addEventListener('change', () => {
+      addLocalFiles(Array.from(localFolderInput.files, (file) => ({ file })));
+      localFolderInput.value = '';
+    });
+  }
+
+  /*
+   * Enrutador
+   *
+   * The URL hash mirrors what is on screen so the back button moves
+   * between sections and searches, and links can open the app in a
+   * given state:
+   *
+   *   #/music                      the Música section
+   *   #/music?q=bad+bunny          ...with that search
+   *   #/music?track=audius:D7Kx    ...with a shared track loaded
+   *
+   * An empty or unknown hash (e.g. the manifest start_url before any
+   * navigation) shows the home section.
+   */
+  const DEFAULT_SECTION = 'home';
+  let routeQuery = '';
+
+  function parseRoute(hash) {
+    const [path, search = ''] = hash.replace(/^#\/?/, '').split('?');
+    const section = path.split('/')[0] || DEFAULT_SECTION;
+    return { section, params: new URLSearchParams(search) };
+  }
+
+  function buildRouteHash(section, params = {}) {
+    const search = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value)
+    ).toString();
+    return `#/${section}${search ? `?${search}` : ''}`;
+  }
+
+  // Show the state described by `route`.  Searches and shared tracks
+  // only run when they differ from what is already shown, unless
+  // `force` is set (pressing "Buscar" again repeats the search).
+  function applyRoute(route, { force = false } = {}) {
+    if (!showSection(route.section)) {
+      // Unknown section: fall back to home without a new history entry
+      history.replaceState(null, '', buildRouteHash(DEFAULT_SECTION));
+      showSection(DEFAULT_SECTION);
+      return;
+    }
+    if (route.section !== 'music') return;
+    const query = (route.params.get('q') || '').trim();
+    if (query && (force || query !== routeQuery)) {
+      if (musicQuery) musicQuery.value = query;
+      searchMusic(query);
+    }
+    routeQuery = query || routeQuery;
+    const sharedKey = route.params.get('track');
+    if (sharedKey) {
+      // Drop the parameter so going back here does not reload the track
+      history.replaceState(null, '', buildRouteHash('music', { q: query }));
+      openSharedTrack(sharedKey);
     }
   }
 
-  // Update progress bars and time labels based on current time
-  function updateProgress() {
-    if (!audio.duration) return;
-    const percentage = (audio.currentTime / audio.duration) * 100;
-    miniProgressBar.style.width = `${percentage}%`;
-    fullProgressBar.style.width = `${percentage}%`;
-    fullCurrent.textContent = formatTime(audio.currentTime);
-    fullTotal.textContent = formatTime(audio.duration);
+  function navigate(section, params = {}, { force = false } = {}) {
+    const hash = buildRouteHash(section, params);
+    if (hash !== window.location.hash) history.pushState(null, '', hash);
+    applyRoute(parseRoute(hash), { force });
   }
 
-  // Play a specific track
-  async function playTrack(track) {
-    currentTrack = track;
-    // Determine index in playlist
-    if (currentTrackIndex < 0) {
-      currentTrackIndex = currentPlaylist.findIndex((t) => t === track);
+  // Back/forward and manually edited URLs
+  window.addEventListener('hashchange', () => {
+    applyRoute(parseRoute(window.location.hash));
+  });
+
+  // Link to a track: the provider id plus the track's id within it
+  function sharedTrackUrl(track) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = buildRouteHash('music', {
+      track: `${track.source}:${track.id || track.videoId}`,
+    });
+    return url.toString();
+  }
+
+  // Load a track from a shared link.  It replaces the queue and opens
+  // the full player paused: browsers block autoplay until the user has
+  // interacted with the page.
+  async function openSharedTrack(key) {
+    const separator = key.indexOf(':');
+    const provider = musicProviders.get(key.slice(0, separator));
+    const id = key.slice(separator + 1);
+    if (separator < 1 || !provider || !id) {
+      showToast('El enlace no corresponde a ninguna canción disponible.');
+      return;
     }
-    // Stop current audio
-    audio.pause();
-    audio.src = '';
-    // If YouTube track: fetch audio stream from Piped API
-    if (track.source === 'youtube') {
+    const track = { source: provider.id, id, title: '', artist: '', cover: '' };
+    if (provider.id === 'youtube') track.videoId = id;
+    await openTrack(track);
+  }
+
+  async function openTrack(track) {
+    try {
+      Object.assign(track, await getProvider(track.source).metadata(track));
+    } catch (err) {
+      console.error('Error al abrir la canción compartida:', err);
+      showToast(`No se pudo abrir la canción compartida: ${err.message}`);
+      return;
+    }
+    playQueue = [queueEntry(track, false)];
+    queueIndex = 0;
+    if (isShuffle) buildShuffleOrder();
+    await playTrack(playQueue[0], { autoplay: false });
+    if (currentStreamUrl) showFull();
+  }
+
+  async function shareCurrentTrack() {
+    if (!currentTrack || !(currentTrack.id || currentTrack.videoId)) return;
+    if (getProvider(currentTrack.source).local) {
+      showToast('Las canciones del dispositivo no se pueden compartir');
+      return;
+    }
+    const url = sharedTrackUrl(currentTrack);
+    const title = currentTrack.title || 'Canción';
+    if (navigator.share) {
       try {
-        const res = await fetch(`https://pipedapi.kavin.rocks/api/v1/streams/${encodeURIComponent(track.videoId)}`);
-        const data = await res.json();
-        const audioStream = (data?.audioStreams || [])[0];
-        if (audioStream && audioStream.url) {
-          audio.src = audioStream.url;
-        } else {
-          console.error('No se encontró stream de audio');
-          return;
+        await navigator.share({ title, text: `${title} · ${currentTrack.artist || ''}`, url });
+      } catch (e) {
+        // Cancelled by the user
+      }
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast('Enlace copiado al portapapeles');
+    } catch (e) {
+      showToast(url, 8000);
+    }
+  }
+
+  const fShareBtn = document.getElementById('fShareBtn');
+  if (fShareBtn) {
+    fShareBtn.addEventListener('click', () => {
+      shareCurrentTrack();
+      playClickSound();
+    });
+  }
+
+  // Show whatever the URL asks for.  This runs last so that a shared
+  // track takes precedence over the restored session.
+  applyRoute(parseRoute(window.location.hash));
+
+  /*
+   * Lanzamiento desde el sistema
+   *
+   * manifest.json declares app shortcuts, a share target and a
+   * `web+holamusic:` protocol handler.  They all open the app with query
+   * parameters:
+   *
+   *   ?shortcut=resume|search      app shortcuts
+   *   ?title=…&text=…&url=…        something shared into the app
+   *   ?link=web+holamusic:…        protocol handler (%s in the manifest)
+   *
+   * A shared YouTube or Audius link loads that track; any other text
+   * becomes a search.  With `launch_handler` set to focus-existing, an
+   * installed app that is already open receives later launches through
+   * `window.launchQueue` instead of reloading.
+   */
+  const LAUNCH_PARAMS = ['shortcut', 'title', 'text', 'url', 'link'];
+  const PROTOCOL_PREFIX = 'web+holamusic:';
+  const initialLaunchUrl = window.location.href;
+
+  // Every http(s) URL in `value` that parses
+  function findUrls(value) {
+    return (value.match(/https?:\/\/\S+/g) || [])
+      .map((candidate) => {
+        try {
+          return new URL(candidate);
+        } catch (e) {
+          return null;
         }
-      } catch (err) {
-        console.error('Error al cargar audio de YouTube:', err);
+      })
+      .filter(Boolean);
+  }
+
+  async function handleSharedContent({ title = '', text = '', url = '' }) {
+    const links = findUrls(`${url} ${text}`);
+    for (const link of links) {
+      // Links to this very app carry a route
+      if (link.origin === window.location.origin && link.hash.startsWith('#/')) {
+        const route = parseRoute(link.hash);
+        navigate(route.section, Object.fromEntries(route.params));
         return;
       }
-    } else {
-      audio.src = track.stream;
+      for (const provider of musicProviders.values()) {
+        if (!provider.resolveLink) continue;
+        try {
+          const track = await provider.resolveLink(link);
+          if (track) {
+            navigate('music', routeQuery ? { q: routeQuery } : {});
+            await openTrack(track);
+            return;
+          }
+        } catch (err) {
+          console.error(`${provider.label} link error:`, err);
+          showToast(err.message);
+          return;
+        }
+      }
     }
-    // Update UI titles and cover
-    miniTitle.textContent = track.title || 'Sin título';
-    miniArtist.textContent = track.artist || '';
-    fullTrack.textContent = track.title || 'Sin título';
-    fullArtist.textContent = track.artist || '';
-    if (track.cover) {
-      fullCover.src = track.cover;
+    // Not a song link: search for the text (shared pages usually put
+    // the song name in the title)
+    const query = text.replace(/https?:\/\/\S+/g, '').trim() || title.trim();
+    if (query) {
+      navigate('music', { q: query }, { force: true });
     } else {
-      fullCover.src = 'icons/icon-512.png';
+      showToast('No se reconoce el contenido compartido.');
     }
+  }
 
-    /*
-     * Set the full player’s background using the track’s album art.
-     * We overlay a semi‑transparent gradient to ensure text remains
-     * readable regardless of the artwork.  The overlay colour adapts
-     * to the current theme: dark themes use a dark overlay, light
-     * themes a light one, and the glass theme uses a subtle frosted
-     * overlay.
-     */
-    if (track.cover) {
-      let overlay;
-      if (document.body.classList.contains('theme-light')) {
-        overlay = 'linear-gradient(rgba(255,255,255,0.8), rgba(255,255,255,0.8))';
-      } else if (document.body.classList.contains('theme-glass')) {
-        overlay = 'linear-gradient(rgba(255,255,255,0.5), rgba(255,255,255,0.5))';
-      } else {
-        overlay = 'linear-gradient(rgba(0,0,0,0.75), rgba(0,0,0,0.75))';
-      }
-      fullPlayer.style.backgroundImage = `${overlay}, url('${track.cover}')`;
+  function handleProtocolLink(value) {
+    const target = value.startsWith(PROTOCOL_PREFIX)
+      ? value.slice(PROTOCOL_PREFIX.length).replace(/^\/\//, '')
+      : value;
+    // web+holamusic:audius:D7Kx is a track key, anything else a link or text
+    if (musicProviders.has(target.split(':')[0])) {
+      navigate('music', routeQuery ? { q: routeQuery } : {});
+      openSharedTrack(target);
     } else {
-      fullPlayer.style.backgroundImage = '';
+      handleSharedContent({ text: target });
     }
-
-    // Play the track
-    await audio.play().catch((e) => console.error('Reproducción fallida:', e));
-    // Show mini player
-    showMini();
-    updatePlayIcons();
   }
 
-  // Play next track
-  function playNext() {
-    if (!currentPlaylist.length) return;
-    if (isShuffle) {
-      currentTrackIndex = Math.floor(Math.random() * currentPlaylist.length);
-    } else {
-      currentTrackIndex = (currentTrackIndex + 1) % currentPlaylist.length;
+  function handleShortcut(shortcut) {
+    navigate('music', routeQuery ? { q: routeQuery } : {});
+    if (shortcut === 'search') {
+      if (musicQuery) {
+        musicQuery.focus();
+        musicQuery.select();
+      }
+    } else if (shortcut === 'resume') {
+      if (!currentTrack) {
+        showToast('No hay ninguna reproducción que continuar.');
+        return;
+      }
+      showFull();
+      // Only works where launching counts as a user gesture; otherwise
+      // the track stays paused in the full player.
+      if (audio.paused) togglePlay();
     }
-    playTrack(currentPlaylist[currentTrackIndex]);
   }
 
-  // Play previous track
-  function playPrev() {
-    if (!currentPlaylist.length) return;
-    if (isShuffle) {
-      currentTrackIndex = Math.floor(Math.random() * currentPlaylist.length);
+  function handleLaunchUrl(url) {
+    const params = url.searchParams;
+    if (!LAUNCH_PARAMS.some((name) => params.has(name))) {
+      // A plain launch into a route (e.g. the Música shortcut)
+      if (url.hash.startsWith('#/') && url.hash !== window.location.hash) {
+        const route = parseRoute(url.hash);
+        navigate(route.section, Object.fromEntries(route.params));
+      }
+      return;
+    }
+    if (params.has('shortcut')) {
+      handleShortcut(params.get('shortcut'));
+    } else if (params.has('link')) {
+      handleProtocolLink(params.get('link'));
     } else {
-      currentTrackIndex = (currentTrackIndex - 1 + currentPlaylist.length) % currentPlaylist.length;
+      handleSharedContent({
+        title: params.get('title') || '',
+        text: params.get('text') || '',
+        url: params.get('url') || '',
+      });
     }
-    playTrack(currentPlaylist[currentTrackIndex]);
   }
 
-  // Toggle shuffle state
-  function toggleShuffle() {
-    isShuffle = !isShuffle;
-    // Toggle active class on both buttons
-    btnShuffle.classList.toggle('active', isShuffle);
-    fShuffle.classList.toggle('active', isShuffle);
+  // Handle the parameters this page was opened with, then drop them from
+  // the address so a reload does not share or search again.
+  const launchUrl = new URL(initialLaunchUrl);
+  if (LAUNCH_PARAMS.some((name) => launchUrl.searchParams.has(name))) {
+    handleLaunchUrl(launchUrl);
+    const cleanUrl = new URL(window.location.href);
+    LAUNCH_PARAMS.forEach((name) => cleanUrl.searchParams.delete(name));
+    history.replaceState(null, '', cleanUrl.href);
   }
 
-  // Toggle repeat state
-  function toggleRepeat() {
-    isRepeat = !isRepeat;
-    btnRepeat.classList.toggle('active', isRepeat);
-    fRepeat.classList.toggle('active', isRepeat);
+  if ('launchQueue' in window) {
+    // The first launch is the one that opened this page, already handled
+    // above; later ones (focus-existing) may repeat the same URL
+    let initialLaunchSeen = false;
+    window.launchQueue.setConsumer((launchParams) => {
+      const isInitial = !initialLaunchSeen;
+      initialLaunchSeen = true;
+      if (isInitial || !launchParams.targetURL) return;
+      handleLaunchUrl(new URL(launchParams.targetURL));
+    });
   }
 
-  // Audio events
-  audio.addEventListener('play', updatePlayIcons);
-  audio.addEventListener('pause', updatePlayIcons);
-  audio.addEventListener('timeupdate', () => {
-    updateProgress();
-    // Auto next track when finished
-    if (audio.currentTime >= audio.duration - 0.3 && audio.duration) {
-      if (isRepeat) {
-        // Restart same track
-        audio.currentTime = 0;
-        audio.play();
-      } else {
-        playNext();
-      }
-    }
-  });
+  /*
+   * Atajos de teclado
+   *
+   * A single keydown listener on the document maps keys to the actions
+   * below.  It stays out of the way while the user types in a form
+   * field and ignores keys another handler already consumed (the
+   * progress sliders and the tab bar use the arrows themselves).  The
+   * `shortcuts` setting only stores the keys the user changed; an empty
+   * string leaves an action without a key.  An action's `run` returns
+   * false when it has nothing to act on, and the key then keeps its
+   * default behaviour (e.g. the arrows scroll the page).
+   */
+  const VOLUME_STEP = 0.1;
+  const SECTION_SHORTCUTS = Array.from(navItems).map((item, index) => ({
+    id: `section${index + 1}`,
+    label: `Ir a ${item.textContent.trim()}`,
+    key: String(index + 1),
+    run: () => item.click(),
+  }));
+  // Wrap an action that only makes sense with a track loaded
+  const withTrack = (run) => () => {
+    if (!currentTrack) return false;
+    run();
+    return true;
+  };
+  const SHORTCUT_ACTIONS = [
+    { id: 'playPause', label: 'Reproducir / pausar', key: ' ', run: withTrack(togglePlay) },
+    { id: 'seekForward', label: `Avanzar ${SEEK_STEP} s`, key: 'ArrowRight', run: withTrack(() => seekTo(audio.currentTime + SEEK_STEP)) },
+    { id: 'seekBackward', label: `Retroceder ${SEEK_STEP} s`, key: 'ArrowLeft', run: withTrack(() => seekTo(audio.currentTime - SEEK_STEP)) },
+    { id: 'volumeUp', label: 'Subir volumen', key: 'ArrowUp', run: withTrack(() => changeVolume(VOLUME_STEP)) },
+    { id: 'volumeDown', label: 'Bajar volumen', key: 'ArrowDown', run: withTrack(() => changeVolume(-VOLUME_STEP)) },
+    { id: 'next', label: 'Siguiente canción', key: 'n', run: withTrack(() => playNext()) },
+    { id: 'previous', label: 'Canción anterior', key: 'p', run: withTrack(() => playPrev()) },
+    { id: 'shuffle', label: 'Aleatorio', key: 's', run: toggleShuffle },
+    { id: 'repeat', label: 'Repetir', key: 'r', run: toggleRepeat },
+    { id: 'search', label: 'Buscar música', key: '/', run: focusSearch },
+    ...SECTION_SHORTCUTS,
+    { id: 'help', label: 'Mostrar los atajos', key: '?', run: toggleShortcutsHelp },
+  ];
+  // Keys that keep their usual meaning and cannot be assigned
+  const RESERVED_KEYS = ['Enter', 'Dead', 'Unidentified'];
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock'];
+  const KEY_LABELS = {
+    ' ': 'Espacio',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+  };
+  const shortcutsHelp = document.getElementById('shortcuts-help');
+  const shortcutsHelpList = document.getElementById('shortcuts-help-list');
+  const shortcutsHelpClose = document.getElementById('shortcuts-help-close');
+  let shortcutsHelpReturnFocus = null;
 
-  // Bind controls for mini and full players
-  btnPlay.addEventListener('click', () => {
-    togglePlay();
-    playClickSound();
-  });
-  fPlay.addEventListener('click', () => {
-    togglePlay();
-    playClickSound();
-  });
-  btnPrev.addEventListener('click', () => {
-    playPrev();
-    playClickSound();
-  });
-  fPrev.addEventListener('click', () => {
-    playPrev();
-    playClickSound();
-  });
-  btnNext.addEventListener('click', () => {
-    playNext();
-    playClickSound();
-  });
-  fNext.addEventListener('click', () => {
-    playNext();
-    playClickSound();
-  });
-  btnShuffle.addEventListener('click', () => {
-    toggleShuffle();
-    playClickSound();
-  });
-  fShuffle.addEventListener('click', () => {
-    toggleShuffle();
-    playClickSound();
-  });
-  btnRepeat.addEventListener('click', () => {
-    toggleRepeat();
-    playClickSound();
-  });
-  fRepeat.addEventListener('click', () => {
-    toggleRepeat();
-    playClickSound();
-  });
+  // Letters are matched case-insensitively
+  function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
 
-  // Expand/collapse and close actions
-  miniExpandBtn.addEventListener('click', () => {
-    showFull();
-    playClickSound();
-  });
-  fullMinimizeBtn.addEventListener('click', () => {
-    showMini();
-    playClickSound();
-  });
-  // Close completely: stop audio and hide players
-  miniCloseBtn.addEventListener('click', () => {
-    audio.pause();
-    audio.currentTime = 0;
-    miniPlayer.classList.add('hidden');
-    fullPlayer.classList.add('hidden');
-    const nav = document.querySelector('.bottom-nav');
-    if (nav) nav.classList.remove('hidden');
-    playClickSound();
-  });
-  fullCloseBtn.addEventListener('click', () => {
-    audio.pause();
-    audio.currentTime = 0;
-    miniPlayer.classList.add('hidden');
-    fullPlayer.classList.add('hidden');
-    const nav = document.querySelector('.bottom-nav');
-    if (nav) nav.classList.remove('hidden');
-    playClickSound();
-  });
+  function keyLabel(key) {
+    if (!key) return '—';
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  }
 
-  // Allow seeking by tapping on the progress bars
-  // Mini progress bar (wrapper is the parent of the bar)
-  const miniProgressWrapper = miniProgressBar ? miniProgressBar.parentElement : null;
-  if (miniProgressWrapper) {
-    miniProgressWrapper.addEventListener('click', (e) => {
-      const rect = miniProgressWrapper.getBoundingClientRect();
-      const ratio = (e.clientX - rect.left) / rect.width;
-      if (audio.duration) {
-        audio.currentTime = ratio * audio.duration;
-      }
-    });
+  function shortcutKey(action) {
+    const overrides = getSetting('shortcuts');
+    return typeof overrides[action.id] === 'string' ? overrides[action.id] : action.key;
   }
-  // Full progress bar wrapper
-  const fullBarWrapper = fullPlayer.querySelector('.bar');
-  if (fullBarWrapper) {
-    fullBarWrapper.addEventListener('click', (e) => {
-      const rect = fullBarWrapper.getBoundingClientRect();
-      const ratio = (e.clientX - rect.left) / rect.width;
-      if (audio.duration) {
-        audio.currentTime = ratio * audio.duration;
-      }
-    });
+
+  function isTypingTarget(target) {
+    return target instanceof Element &&
+      !!target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])');
   }
-  // Radio buttons to filter music source
-  const sourceRadios = document.querySelectorAll('input[name="music-source"]');
 
-  // Search button handler
-  if (musicBtn && musicQuery) {
-    musicBtn.addEventListener('click', () => {
-      const query = musicQuery.value.trim();
-      if (query) searchMusic(query);
-    });
-    musicQuery.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        const query = musicQuery.value.trim();
-        if (query) searchMusic(query);
-      }
-    });
+  function focusSearch() {
+    if (!musicQuery) return;
+    const musicTab = document.getElementById('tab-music');
+    if (musicTab && musicTab.getAttribute('aria-selected') !== 'true') musicTab.click();
+    musicQuery.focus();
+    musicQuery.select();
   }
 
-  // Perform a search across Audius and Piped
-  async function searchMusic(query) {
-    // Clear previous results and show skeleton loader
-    if (musicSkeleton) {
-      musicSkeleton.classList.remove('hidden');
-    }
-    if (musicResults) {
-      // Hide results container during loading
-      musicResults.classList.add('hidden');
-      musicResults.innerHTML = '';
+  document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+    if (isTypingTarget(e.target)) return;
+    if (e.key === 'Escape' && !shortcutsHelp.classList.contains('hidden')) {
+      closeShortcutsHelp();
+      return;
     }
-    let tracks = [];
-    // Determine selected source filter
-    let filter = 'all';
-    sourceRadios.forEach((radio) => {
-      if (radio.checked) filter = radio.value;
+    const key = normalizeKey(e.key);
+    // Space keeps activating the focused button
+    if (key === ' ' && e.target instanceof Element && e.target.closest('button, a, [role="button"], [role="tab"]')) return;
+    const action = SHORTCUT_ACTIONS.find((a) => shortcutKey(a) === key);
+    // Behind the modal help only its own toggle works
+    if (!shortcutsHelp.classList.contains('hidden') && (!action || action.id !== 'help')) return;
+    if (!action || action.run() === false) return;
+    e.preventDefault();
+  });
+
+  // Help overlay listing the current bindings
+  function renderShortcutsHelp() {
+    shortcutsHelpList.innerHTML = '';
+    SHORTCUT_ACTIONS.forEach((action) => {
+      const key = shortcutKey(action);
+      if (!key) return;
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      const kbd = document.createElement('kbd');
+      kbd.textContent = keyLabel(key);
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      row.append(kbd, label);
+      shortcutsHelpList.appendChild(row);
     });
-    // Fetch from Audius if allowed
-    if (filter === 'all' || filter === 'audius') {
-      try {
-        const resAudius = await fetch(
-          `https://api.audius.co/v1/tracks/search?query=${encodeURIComponent(
-            query
-          )}&app_name=holaPWA`
-        );
-        const dataAudius = await resAudius.json();
-        const audiusTracks = (dataAudius.data || [])
-          .slice(0, 6)
-          .map((t) => {
-            return {
-              source: 'audius',
-              title: t.title || '',
-              artist: (t.user && (t.user.name || t.user.handle)) || '',
-              cover:
-                (t.artwork &&
-                  (t.artwork['150x150'] || t.artwork['480x480'])) ||
-                '',
-              stream: t.stream && t.stream.url ? t.stream.url : '',
-            };
-          })
-          .filter((t) => t.stream);
-        tracks = tracks.concat(audiusTracks);
-      } catch (err) {
-        console.error('Audius API error:', err);
-      }
-    }
-    // Fetch from Piped (YouTube proxy) if allowed
-    if (filter === 'all' || filter === 'youtube') {
-      try {
-        const resYoutube = await fetch(
-          `https://pipedapi.kavin.rocks/api/v1/search?q=${encodeURIComponent(
-            query
-          )}&region=US`
-        );
-        const dataYoutube = await resYoutube.json();
-        const items = dataYoutube.items || dataYoutube;
-        const youtubeTracks = Array.isArray(items)
-          ? items.slice(0, 6).map((item) => {
-              const videoId = item.id || item.url?.split('v=')[1] || item.url || '';
-              return {
-                source: 'youtube',
-                title: item.title || '',
-                artist: item.uploader || '',
-                cover: item.thumbnail || '',
-                videoId: videoId,
-              };
-            })
-          : [];
-        tracks = tracks.concat(youtubeTracks);
-      } catch (err) {
-        console.error('Piped API error:', err);
-      }
-    }
-    // Save playlist for navigation
-    currentPlaylist = tracks;
-    // Hide skeleton and show results
-    if (musicSkeleton) {
-      musicSkeleton.classList.add('hidden');
+  }
+
+  function openShortcutsHelp() {
+    renderShortcutsHelp();
+    shortcutsHelpReturnFocus = document.activeElement;
+    shortcutsHelp.classList.remove('hidden');
+    shortcutsHelpClose.focus();
+  }
+
+  function closeShortcutsHelp() {
+    shortcutsHelp.classList.add('hidden');
+    if (shortcutsHelpReturnFocus && shortcutsHelpReturnFocus.focus) shortcutsHelpReturnFocus.focus();
+    shortcutsHelpReturnFocus = null;
+  }
+
+  function toggleShortcutsHelp() {
+    if (shortcutsHelp.classList.contains('hidden')) openShortcutsHelp();
+    else closeShortcutsHelp();
+  }
+
+  // The overlay is modal: Tab cycles through its own controls only
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab' || shortcutsHelp.classList.contains('hidden')) return;
+    const focusable = Array.from(
+      shortcutsHelp.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')
+    );
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = shortcutsHelp.contains(document.activeElement);
+    if (!inside || (e.shiftKey && document.activeElement === first)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
     }
-    if (musicResults) {
-      musicResults.classList.remove('hidden');
-      musicResults.innerHTML = '';
-      if (!tracks.length) {
-        musicResults.innerHTML = '<p>No se encontraron resultados.</p>';
-      } else {
-        tracks.forEach((track, index) => {
-          const item = document.createElement('div');
-          item.className = 'music-item';
-          item.dataset.index = index;
-          const img = document.createElement('img');
-          img.src = track.cover || 'icons/icon-192.png';
-          const info = document.createElement('div');
-          info.className = 'music-info';
-          const titleDiv = document.createElement('div');
-          titleDiv.className = 'music-title';
-          titleDiv.textContent = track.title;
-          const artistDiv = document.createElement('div');
-          artistDiv.className = 'music-artist';
-          artistDiv.textContent = track.artist || track.source.toUpperCase();
-          info.appendChild(titleDiv);
-          info.appendChild(artistDiv);
-          item.appendChild(img);
-          item.appendChild(info);
-          item.addEventListener('click', () => {
-            currentTrackIndex = parseInt(item.dataset.index, 10);
-            playTrack(track);
-            playClickSound();
-          });
-          musicResults.appendChild(item);
-        });
-      }
+  });
+
+  shortcutsHelpClose.addEventListener('click', closeShortcutsHelp);
+  // Clicking the backdrop closes it too
+  shortcutsHelp.addEventListener('click', (e) => {
+    if (e.target === shortcutsHelp) closeShortcutsHelp();
+  });
+
+  // Remapping in Ajustes: click a key, then press the new one.  Escape
+  // cancels, Backspace/Delete leaves the action without a key.  A key
+  // taken by another action is moved, leaving that one unbound.
+  const shortcutSettings = document.getElementById('shortcut-settings');
+  const shortcutsHelpBtn = document.getElementById('shortcuts-help-btn');
+  const shortcutsResetBtn = document.getElementById('shortcuts-reset-btn');
+
+  function assignShortcut(action, key) {
+    const overrides = { ...getSetting('shortcuts') };
+    const taken = key && SHORTCUT_ACTIONS.find((a) => a !== action && shortcutKey(a) === key);
+    if (taken) {
+      overrides[taken.id] = '';
+      showToast(`«${taken.label}» se ha quedado sin atajo`);
     }
+    if (key === action.key) delete overrides[action.id];
+    else overrides[action.id] = key;
+    setSetting('shortcuts', overrides);
+    // The list was rebuilt; keep the focus on the same row
+    const button = shortcutSettings.querySelector(`[data-action="${action.id}"]`);
+    if (button) button.focus();
   }
 
-  /* La función playTrack antigua se ha eliminado en favor de la nueva
-     implementación de reproductor avanzado definida al principio de esta
-     sección. */
+  function renderShortcutSettings() {
+    if (!shortcutSettings) return;
+    shortcutSettings.innerHTML = '';
+    SHORTCUT_ACTIONS.forEach((action) => {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      const label = document.createElement('span');
+      label.textContent = action.label;
+      const button = document.createElement('button');
+      button.className = 'shortcut-key';
+      button.dataset.action = action.id;
+      button.textContent = keyLabel(shortcutKey(action));
+      button.setAttribute('aria-label', `${action.label}: ${keyLabel(shortcutKey(action))}. Pulsa para cambiar`);
+      button.addEventListener('click', () => {
+        button.classList.add('capturing');
+        button.textContent = 'Pulsa una tecla…';
+      });
+      const stopCapture = () => {
+        button.classList.remove('capturing');
+        button.textContent = keyLabel(shortcutKey(action));
+      };
+      button.addEventListener('blur', stopCapture);
+      button.addEventListener('keydown', (e) => {
+        // Tab still moves the focus (and the blur cancels)
+        if (!button.classList.contains('capturing') || e.key === 'Tab') return;
+        e.preventDefault();
+        e.stopPropagation();
+        // Wait for the key a modifier is held for (e.g. Shift + / → ?)
+        if (MODIFIER_KEYS.includes(e.key)) return;
+        if (RESERVED_KEYS.includes(e.key) || e.ctrlKey || e.metaKey || e.altKey) {
+          showToast('Esa tecla no se puede asignar');
+          return;
+        }
+        stopCapture();
+        if (e.key === 'Escape') return;
+        assignShortcut(action, e.key === 'Backspace' || e.key === 'Delete' ? '' : normalizeKey(e.key));
+      });
+      row.append(label, button);
+      shortcutSettings.appendChild(row);
+    });
+  }
 
-  // El control de reproducción, progreso y búsqueda se gestiona
-  // mediante los manejadores definidos en la sección del reproductor
-  // avanzado.  Esta implementación antigua se ha eliminado.
-  // La lógica de final de pista, navegación, volumen y toggles se gestiona
-  // mediante las funciones definidas en la nueva sección del reproductor.
+  renderShortcutSettings();
+  onSettingChange('shortcuts', () => {
+    renderShortcutSettings();
+    if (!shortcutsHelp.classList.contains('hidden')) renderShortcutsHelp();
+  });
+  if (shortcutsHelpBtn) shortcutsHelpBtn.addEventListener('click', openShortcutsHelp);
+  if (shortcutsResetBtn) {
+    shortcutsResetBtn.addEventListener('click', () => setSetting('shortcuts', {}));
+  }
 });
\ No newline at end of file
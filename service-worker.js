@@ -1,14 +1,40 @@
 /*
  * service-worker.js for Hola Animated PWA
  *
- * Implements a basic cache-first strategy. Essential assets are cached
- * during the install event. When fetching resources, the service worker
- * responds with cached versions if available, falling back to the network
- * and caching new resources dynamically. Old caches are cleaned up during
- * activation.
+ * Chooses a caching strategy per type of request:
+ *
+ *   - app shell (same-origin files and page navigations):
+ *     stale-while-revalidate, so updated HTML/JS/CSS reach users on the
+ *     next launch without bumping the cache name by hand;
+ *   - search APIs (Audius/Piped): network-first, falling back to a
+ *     cached answer younger than API_TTL when offline;
+ *   - cover art and other images: cache-first in a bounded LRU cache;
+ *   - audio streams, stream lookups and anything else: network only,
+ *     never cached.
+ *
+ * Tracks downloaded for offline listening live in their own cache
+ * (AUDIO_CACHE_NAME), which survives app updates and is served with
+ * Range support so the audio element can seek without a network.
+ * Every cache is size-limited and caches from older versions are
+ * deleted during activation.  Updates are activated only when the user
+ * accepts them from the in-app banner.
  */
 
-const CACHE_NAME = 'hola-pwa-cache-v1';
+const CACHE_NAME = 'hola-pwa-cache-v2';
+const API_CACHE_NAME = 'hola-pwa-api-v1';
+const IMAGE_CACHE_NAME = 'hola-pwa-images-v1';
+// Must match AUDIO_CACHE_NAME in script.js
+const AUDIO_CACHE_NAME = 'hola-pwa-audio-v1';
+const KNOWN_CACHES = [CACHE_NAME, API_CACHE_NAME, IMAGE_CACHE_NAME, AUDIO_CACHE_NAME];
+
+// Cache limits
+const API_TTL = 60 * 60 * 1000; // cached search results are usable for 1 hour
+const API_MAX_ENTRIES = 50;
+const IMAGE_MAX_ENTRIES = 150;
+const SHELL_MAX_ENTRIES = 40;
+// Header added to cached API responses to know when they were stored
+const CACHED_AT_HEADER = 'sw-cached-at';
+
 const URLS_TO_CACHE = [
   '/',
   '/index.html',
@@ -19,45 +45,205 @@ const URLS_TO_CACHE = [
   '/icons/icon-512.png'
 ];
 
-// Precache files during installation
+// Precache files during installation.  A new version then waits until
+// the page asks it to take over (see the message handler below), so it
+// never swaps in under a playing song.
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME).then((cache) => {
       return cache.addAll(URLS_TO_CACHE);
-    }).then(() => self.skipWaiting())
+    })
   );
 });
 
+// The page posts SKIP_WAITING once the user accepts the update banner
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
 // Activate and clean up old caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames
-          .filter((cacheName) => cacheName !== CACHE_NAME)
+          .filter((cacheName) => !KNOWN_CACHES.includes(cacheName))
           .map((cacheName) => caches.delete(cacheName))
       );
     }).then(() => self.clients.claim())
   );
 });
 
-// Serve cached assets if available, else fetch from network
-self.addEventListener('fetch', (event) => {
-  if (event.request.method !== 'GET') return;
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
-      return fetch(event.request)
-        .then((networkResponse) => {
-          // Save a clone of the response to the cache for future visits
-          return caches.open(CACHE_NAME).then((cache) => {
-            cache.put(event.request, networkResponse.clone());
-            return networkResponse;
-          });
-        })
-        .catch(() => caches.match('/index.html'));
-    })
+// Answer a request for a downloaded track from the audio cache.  Media
+// elements ask for byte ranges, so slice the stored blob and reply with
+// 206 Partial Content when a Range header is present.
+async function serveOfflineAudio(request) {
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  const cached = await cache.match(request.url);
+  if (!cached) {
+    return new Response('', { status: 404, statusText: 'Not downloaded' });
+  }
+  const range = request.headers.get('range');
+  const match = range && /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match) {
+    return cached;
+  }
+  const blob = await cached.blob();
+  const size = blob.size;
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) {
+    return new Response('', {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Delete the oldest entries of a cache until it holds at most `max`.
+// Cache keys come back in insertion order, so the first ones are the
+// least recently stored (or, for the LRU image cache, used).  Precached
+// app shell files are never evicted.
+async function trimCache(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = (await cache.keys()).filter(
+    (key) => !URLS_TO_CACHE.includes(new URL(key.url).pathname)
   );
+  const excess = keys.length - max;
+  if (excess <= 0) return;
+  await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+}
+
+// App shell: answer from the cache immediately and refresh the entry in
+// the background.  Navigations (with any query string or hash) share
+// the cached index.html.
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const isNavigation = request.mode === 'navigate';
+  const cache = await caches.open(CACHE_NAME);
+  const cacheKey = isNavigation ? '/index.html' : request;
+  const cached = await cache.match(cacheKey, { ignoreSearch: isNavigation });
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (response.ok) {
+        await cache.put(cacheKey, response.clone());
+        await trimCache(CACHE_NAME, SHELL_MAX_ENTRIES);
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh.catch(() => (isNavigation ? cache.match('/index.html') : Response.error()));
+}
+
+// Search APIs: always try the network; when it fails, use a cached copy
+// as long as it is younger than API_TTL.
+async function networkFirstWithTtl(request) {
+  const cache = await caches.open(API_CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, String(Date.now()));
+      const body = await response.clone().blob();
+      await cache.put(request, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+      }));
+      await trimCache(API_CACHE_NAME, API_MAX_ENTRIES);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    const cachedAt = cached ? Number(cached.headers.get(CACHED_AT_HEADER)) : 0;
+    if (cached && Date.now() - cachedAt < API_TTL) {
+      return cached;
+    }
+    if (cached) {
+      await cache.delete(request);
+    }
+    throw err;
+  }
+}
+
+// Cover art: cache-first with least-recently-used eviction.  A hit is
+// stored again so it moves to the end of the key order.  An opaque
+// entry (stored by a plain <img>) is useless to a CORS request such as
+// the palette extraction in script.js, so those go to the network and
+// the readable response replaces the opaque one.
+async function cacheFirstLru(request) {
+  const cache = await caches.open(IMAGE_CACHE_NAME);
+  const cached = await cache.match(request);
+  const unusable = cached && request.mode === 'cors' && cached.type === 'opaque';
+  if (cached && !unusable) {
+    await cache.delete(request);
+    await cache.put(request, cached.clone());
+    return cached;
+  }
+  const response = await fetch(request);
+  // Opaque responses (cross-origin images without CORS) report status 0
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    await trimCache(IMAGE_CACHE_NAME, IMAGE_MAX_ENTRIES);
+  }
+  return response;
+}
+
+// Music provider instances are user editable, so they are recognised by
+// path; the lyrics service also has a /search endpoint and is left out.
+const LYRICS_HOSTS = ['lrclib.net'];
+
+function isSearchApi(url) {
+  return url.origin !== self.location.origin && !LYRICS_HOSTS.includes(url.hostname) &&
+    /\/search\b/.test(url.pathname);
+}
+
+// Route each request to the strategy for its type
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.includes('/offline-audio/')) {
+    event.respondWith(serveOfflineAudio(request));
+    return;
+  }
+  // Streams and partial requests go straight to the network
+  if (request.destination === 'audio' || request.destination === 'video' || request.headers.has('range')) {
+    return;
+  }
+  if (request.mode === 'navigate' || url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (isSearchApi(url)) {
+    event.respondWith(networkFirstWithTtl(request));
+    return;
+  }
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirstLru(request));
+  }
+  // Anything else (stream lookups, health checks…) is not cached
 });